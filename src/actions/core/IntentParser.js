@@ -173,26 +173,23 @@ User command: "${userInput}"
 
 Parse this command and return JSON.`;
 
-      // Use the background API to call the LLM
+      // The background validates the answer against the schema and re-prompts if needed
       const response = await chrome.runtime.sendMessage({
-        action: 'chat',
+        action: 'chat_json',
         systemPrompt: systemPrompt,
-        userPrompt: userPrompt
+        userPrompt: userPrompt,
+        schema: IntentParser.INTENT_SCHEMA,
+        task: 'intent',
+        component: 'IntentParser',
+        generation: { temperature: 0 } // Same command, same intent
       });
 
       if (!response.success) {
         throw new Error(response.error || 'Failed to parse intent');
       }
 
-      // Parse JSON from response
-      const jsonMatch = response.response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('LLM did not return valid JSON');
-      }
-
-      const parsed = JSON.parse(jsonMatch[0]);
       return {
-        ...parsed,
+        ...response.data,
         rawInput: userInput,
         method: 'llm'
       };
@@ -234,3 +231,24 @@ Parse this command and return JSON.`;
     return actionKeywords.some(keyword => lowerInput.includes(keyword));
   }
 }
+
+/**
+ * Shape of the LLM's intent answer (see parseWithLLM())
+ */
+IntentParser.INTENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    action: { type: 'string', enum: ['reply', 'compose', 'forward', 'unknown'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    parameters: {
+      type: 'object',
+      properties: {
+        to: { type: 'string' },
+        subject: { type: 'string' },
+        message: { type: 'string' }
+      }
+    },
+    reasoning: { type: 'string' }
+  },
+  required: ['action', 'confidence', 'parameters']
+};
@@ -65,14 +65,77 @@ class FallbackProvider {
   async planAction(userCommand) {
     const context = await this.getContext();
 
-    const systemPrompt = `You are a browser automation assistant. Analyze the page and determine how to execute the user's command.
+    const userPrompt = `User command: "${userCommand}"
+
+Analyze the page and create a step-by-step plan to execute this command.`;
+
+    // Busy pages can list more elements than fit in the context window.
+    // Inputs and buttons are kept first since most commands target them.
+    let remaining = await TokenBudget.forTask('plan').getContentBudget(this.buildPlanPrompt(context, { buttons: [], inputs: [], links: [] }), userPrompt);
+    const elements = {};
+    let elementsTruncated = false;
+
+    for (const type of ['inputs', 'buttons', 'links']) {
+      const fitted = TokenBudget.fitItems(context.elements[type] || [], remaining);
+      elements[type] = fitted.items;
+      elementsTruncated = elementsTruncated || fitted.truncated;
+      remaining -= TokenBudget.estimateTokens(JSON.stringify(fitted.items));
+    }
+
+    if (elementsTruncated) {
+      console.warn('[FallbackProvider] Page elements cut to fit the context window');
+    }
+
+    const systemPrompt = this.buildPlanPrompt(context, elements);
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'chat_json',
+        systemPrompt: systemPrompt,
+        userPrompt: userPrompt,
+        schema: FallbackProvider.PLAN_SCHEMA,
+        task: 'plan',
+        component: 'FallbackProvider',
+        generation: { temperature: 0 }
+      });
+
+      if (!response.success) {
+        throw new Error(response.error || 'Failed to plan action');
+      }
+
+      const plan = response.data;
+      if (elementsTruncated) {
+        plan.warnings = [...(plan.warnings || []), 'This page has more elements than fit in the model\'s context window; some were left out of the analysis.'];
+      }
+      console.log('Action plan:', plan);
+
+      return plan;
+    } catch (error) {
+      console.error('Error planning action:', error);
+      return {
+        feasible: false,
+        reasoning: `Failed to analyze page: ${error.message}`,
+        steps: [],
+        warnings: ['Could not generate action plan']
+      };
+    }
+  }
+
+  /**
+   * Builds the planning system prompt for a set of page elements
+   * @param {Object} context - Page context from getContext()
+   * @param {Object} elements - { buttons, inputs, links } to list
+   * @returns {string}
+   */
+  buildPlanPrompt(context, elements) {
+    return `You are a browser automation assistant. Analyze the page and determine how to execute the user's command.
 
 Page Context:
 - URL: ${context.url}
 - Title: ${context.title}
-- Available buttons: ${JSON.stringify(context.elements.buttons)}
-- Available inputs: ${JSON.stringify(context.elements.inputs)}
-- Available links: ${JSON.stringify(context.elements.links)}
+- Available buttons: ${JSON.stringify(elements.buttons)}
+- Available inputs: ${JSON.stringify(elements.inputs)}
+- Available links: ${JSON.stringify(elements.links)}
 
 Your task: Determine the steps needed to execute the user's command.
 
@@ -99,41 +162,6 @@ Action types:
 IMPORTANT: Use "fill" for ANY text entry action (typing, writing, entering text, etc.)
 
 If the command cannot be executed, set feasible: false and explain why.`;
-
-    const userPrompt = `User command: "${userCommand}"
-
-Analyze the page and create a step-by-step plan to execute this command.`;
-
-    try {
-      const response = await chrome.runtime.sendMessage({
-        action: 'chat',
-        systemPrompt: systemPrompt,
-        userPrompt: userPrompt
-      });
-
-      if (!response.success) {
-        throw new Error(response.error || 'Failed to plan action');
-      }
-
-      // Parse JSON from response
-      const jsonMatch = response.response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('LLM did not return valid JSON');
-      }
-
-      const plan = JSON.parse(jsonMatch[0]);
-      console.log('Action plan:', plan);
-
-      return plan;
-    } catch (error) {
-      console.error('Error planning action:', error);
-      return {
-        feasible: false,
-        reasoning: `Failed to analyze page: ${error.message}`,
-        steps: [],
-        warnings: ['Could not generate action plan']
-      };
-    }
   }
 
   /**
@@ -452,14 +480,17 @@ Analyze the page and create a step-by-step plan to execute this command.`;
    * Get LLM response for a prompt
    * @param {string} systemPrompt - System prompt
    * @param {string} userPrompt - User prompt
+   * @param {string} [task] - Task role, e.g. 'summarize' (see ModelRegistry.TASK_ROLES)
    * @returns {Promise<string>} LLM response
    */
-  async getLLMResponse(systemPrompt, userPrompt) {
+  async getLLMResponse(systemPrompt, userPrompt, task = null) {
     try {
       const response = await chrome.runtime.sendMessage({
         action: 'chat',
         systemPrompt: systemPrompt,
-        userPrompt: userPrompt
+        userPrompt: userPrompt,
+        task: task,
+        component: 'FallbackProvider'
       });
 
       if (!response.success) {
@@ -481,3 +512,29 @@ Analyze the page and create a step-by-step plan to execute this command.`;
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 }
+
+/**
+ * Shape of the LLM's action plan (see planAction() and buildPlanPrompt())
+ */
+FallbackProvider.PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    feasible: { type: 'boolean' },
+    reasoning: { type: 'string' },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['click', 'fill', 'navigate'] },
+          target: { type: 'string' },
+          value: { type: 'string' },
+          description: { type: 'string' }
+        },
+        required: ['action', 'target', 'description']
+      }
+    },
+    warnings: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['feasible', 'reasoning', 'steps']
+};
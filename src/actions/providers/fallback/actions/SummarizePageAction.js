@@ -59,12 +59,6 @@ class SummarizePageAction extends BaseAction {
         return ActionResult.error('Page appears to be empty. Nothing to summarize.');
       }
 
-      // Trim to reasonable length (LLMs have limits)
-      const maxLength = 50000;
-      if (pageContent.length > maxLength) {
-        pageContent = pageContent.substring(0, maxLength) + '...\n[Content truncated]';
-      }
-
       // Create prompt for LLM to generate summary
       const systemPrompt = `You are a web page summarization assistant. Your task is to read web pages and provide concise, informative summaries.
 
@@ -76,20 +70,30 @@ Focus on:
 
 Keep the summary brief (3-5 bullet points) but capture the essential information.`;
 
-      const userPrompt = `Please summarize this web page:
+      const promptHeader = `Please summarize this web page:
 
 URL: ${window.location.href}
 Title: ${document.title}
 
 Content:
-${pageContent}`;
+`;
+
+      // Fit the page into what the model's context window leaves after the prompt
+      const fitted = await TokenBudget.forTask('summarize').fit(pageContent, systemPrompt, promptHeader);
+      const userPrompt = fitted.truncated
+        ? `${promptHeader}${fitted.text}\n[Content truncated]`
+        : `${promptHeader}${fitted.text}`;
 
       // Get LLM response
       console.log('[SummarizePageAction] Requesting summary from LLM...');
-      const summary = await this.provider.getLLMResponse(systemPrompt, userPrompt);
+      const summary = await this.provider.getLLMResponse(systemPrompt, userPrompt, 'summarize');
 
-      // Return summary to be displayed in chat
-      const displayMessage = `**Page Summary: ${document.title}**\n\n${summary}`;
+      // Return summary to be displayed in chat, with a warning if the page was cut
+      const notice = TokenBudget.truncationNotice(fitted, 'page');
+      let displayMessage = `**Page Summary: ${document.title}**\n\n${summary}`;
+      if (notice) {
+        displayMessage += `\n\n${notice}`;
+      }
 
       return ActionResult.success(displayMessage, { summary });
 
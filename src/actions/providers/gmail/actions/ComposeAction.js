@@ -76,24 +76,23 @@ Rules:
     userPrompt += `\n\nGenerate the email as JSON.`;
 
     try {
-      // Use background API to call LLM
+      // Use background API to call LLM, validated against the email schema
       const response = await chrome.runtime.sendMessage({
-        action: 'chat',
+        action: 'chat_json',
         systemPrompt: systemPrompt,
-        userPrompt: userPrompt
+        userPrompt: userPrompt,
+        schema: ComposeAction.EMAIL_SCHEMA,
+        task: 'compose',
+        component: 'ComposeAction',
+        generation: { temperature: 0.8 }, // Natural-sounding drafts
+        sensitive: true // Email content never falls back to a cloud model
       });
 
       if (!response.success) {
         throw new Error(response.error || 'Failed to generate email');
       }
 
-      // Parse JSON from response
-      const jsonMatch = response.response.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('LLM did not return valid JSON');
-      }
-
-      const emailData = JSON.parse(jsonMatch[0]);
+      const emailData = response.data;
 
       // Merge with context (prefer context values if provided)
       return {
@@ -233,3 +232,16 @@ ${emailData.body}`;
     };
   }
 }
+
+/**
+ * Shape of the generated email (see generateContent())
+ */
+ComposeAction.EMAIL_SCHEMA = {
+  type: 'object',
+  properties: {
+    to: { type: 'string' },
+    subject: { type: 'string' },
+    body: { type: 'string', minLength: 1 }
+  },
+  required: ['subject', 'body']
+};
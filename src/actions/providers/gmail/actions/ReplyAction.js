@@ -46,16 +46,16 @@ class ReplyAction extends BaseAction {
    */
   async generateContent(context, userInput) {
     const systemPrompt = `You are writing an email reply. Be professional, concise, and helpful.
+Write a professional reply. Do not include a greeting if the user didn't request one. Do not include a signature - Gmail will add that automatically.`;
 
-Original Email Details:
+    // The email is sent as stable context, so redrafting with other instructions reuses it
+    const emailContext = `Original Email Details:
 From: ${context.emailFrom}
 Subject: ${context.emailSubject}
 Date: ${context.emailDate}
 
 Original Email Body:
-${context.emailBody}
-
-Write a professional reply. Do not include a greeting if the user didn't request one. Do not include a signature - Gmail will add that automatically.`;
+${context.emailBody}`;
 
     let userPrompt = 'Write an appropriate reply to this email.';
 
@@ -72,7 +72,12 @@ Write a professional reply. Do not include a greeting if the user didn't request
       const response = await chrome.runtime.sendMessage({
         action: 'chat',
         systemPrompt: systemPrompt,
-        userPrompt: userPrompt
+        userPrompt: userPrompt,
+        context: emailContext,
+        task: 'compose',
+        component: 'ReplyAction',
+        generation: { temperature: 0.7 },
+        sensitive: true // Email content never falls back to a cloud model
       });
 
       if (!response.success) {
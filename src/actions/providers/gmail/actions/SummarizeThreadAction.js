@@ -64,20 +64,30 @@ Focus on:
 
 Keep the summary brief (3-5 bullet points) but informative.`;
 
-      const userPrompt = `Please summarize this email thread:
+      const promptHeader = `Please summarize this email thread:
 
 Subject: ${context.subject}
 From: ${context.from}
 
 Thread content:
-${context.threadContent}`;
+`;
+
+      // Long threads are cut to what the model's context window leaves after the prompt
+      const fitted = await TokenBudget.forTask('summarize').fit(context.threadContent, systemPrompt, promptHeader);
+      const userPrompt = fitted.truncated
+        ? `${promptHeader}${fitted.text}\n[Content truncated]`
+        : `${promptHeader}${fitted.text}`;
 
       // Get LLM response
       console.log('[SummarizeThreadAction] Requesting summary from LLM...');
-      const summary = await this.provider.getLLMResponse(systemPrompt, userPrompt);
+      const summary = await this.provider.getLLMResponse(systemPrompt, userPrompt, 'summarize');
 
-      // Return summary to be displayed in chat
-      const displayMessage = `**Email Thread Summary**\n\nSubject: ${context.subject}\n\n${summary}`;
+      // Return summary to be displayed in chat, with a warning if the thread was cut
+      const notice = TokenBudget.truncationNotice(fitted, 'thread');
+      let displayMessage = `**Email Thread Summary**\n\nSubject: ${context.subject}\n\n${summary}`;
+      if (notice) {
+        displayMessage += `\n\n${notice}`;
+      }
 
       return ActionResult.success(displayMessage, { summary });
 
@@ -104,14 +104,17 @@ class GoogleDocsProvider {
    * Get LLM response for a prompt
    * @param {string} systemPrompt - System prompt
    * @param {string} userPrompt - User prompt
+   * @param {string} [task] - Task role, e.g. 'summarize' (see ModelRegistry.TASK_ROLES)
    * @returns {Promise<string>} LLM response
    */
-  async getLLMResponse(systemPrompt, userPrompt) {
+  async getLLMResponse(systemPrompt, userPrompt, task = null) {
     try {
       const response = await chrome.runtime.sendMessage({
         action: 'chat',
         systemPrompt: systemPrompt,
-        userPrompt: userPrompt
+        userPrompt: userPrompt,
+        task: task,
+        component: 'GoogleDocsProvider'
       });
 
       if (!response.success) {
@@ -66,7 +66,7 @@ ${context.documentText}`;
 
       // Get LLM response
       console.log('[SummarizeAction] Requesting summary from LLM...');
-      const summary = await this.provider.getLLMResponse(systemPrompt, userPrompt);
+      const summary = await this.provider.getLLMResponse(systemPrompt, userPrompt, 'summarize');
 
       // Return summary to be displayed in chat
       const displayMessage = `**Document Summary: ${context.documentTitle || 'Untitled'}**\n\n${summary}`;
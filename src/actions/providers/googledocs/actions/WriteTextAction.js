@@ -97,7 +97,10 @@ Output ONLY the HTML content, no explanation or surrounding text.`;
         const response = await chrome.runtime.sendMessage({
           action: 'chat',
           systemPrompt: systemPrompt,
-          userPrompt: userPrompt
+          userPrompt: userPrompt,
+          task: 'compose',
+          component: 'WriteTextAction',
+          generation: { temperature: 0.7 }
         });
 
         if (!response.success) {
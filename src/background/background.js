@@ -2,9 +2,20 @@ console.log("background.js script loaded.");
 
 // Import model system files dynamically based on configuration
 importScripts(
+  '../shared/TokenBudget.js',
   'models/models.config.js',
   'models/background-loader.js',
-  'models/ModelRegistry.js'
+  'models/UsageTracker.js',
+  'models/ResponseCache.js',
+  'models/ModelRecorder.js',
+  'models/ModelInspector.js',
+  'models/SecretVault.js',
+  'models/JSONSchema.js',
+  'models/ModelRegistry.js',
+  'models/ConfigTransfer.js',
+  'tools/BrowserTools.js',
+  'jobs/JobManager.js',
+  'jobs/SummarizeJob.js'
 );
 
 // Load all model provider scripts
@@ -21,18 +32,192 @@ async function initializeModelRegistry() {
   // Register all models from configuration
   registerAllModelProviders();
 
-  // Load saved configurations and selected model
+  // Register user-defined OpenAI-compatible endpoints
+  await modelRegistry.loadCustomEndpointsFromStorage();
+
+  // Load saved configurations and selected model (decrypting secrets if the key vault is unlocked)
+  await secretVault.loadFromStorage();
   await modelRegistry.loadConfigsFromStorage();
 
+  // Load whether the response cache is enabled
+  await responseCache.loadSettingsFromStorage();
+
+  // Load the record/replay mode and any recorded responses
+  await modelRecorder.loadFromStorage();
+
+  // Load whether model calls are logged for the inspector, and this session's log
+  await modelInspector.loadFromStorage();
+
   modelRegistryReady = true;
   console.log('Background: Model registry ready');
+
+  // Continue jobs that were running when the browser last stopped this worker
+  await jobManager.loadFromStorage();
+  await jobManager.resumeInterrupted();
 }
 
 // Initialize immediately
-initializeModelRegistry().catch(err => {
+const modelRegistryInitialization = initializeModelRegistry();
+modelRegistryInitialization.catch(err => {
   console.error('Failed to initialize model registry:', err);
 });
 
+/**
+ * Post-processes a model response to clean up special formatting
+ * @param {string} response - Raw model response
+ * @returns {string}
+ */
+function formatModelResponse(response) {
+  // Convert [[dc]...[/dc]](url) format to proper HTML links labeled "Source"
+  return response.replace(/\[\[dc\][^\]]+\[\/dc\]\]\((https?:\/\/[^\)]+)\)/g, '<a href="$1">Source</a>');
+}
+
+// Actions running in a tab, started through `execute_action`:
+// tabId -> { bypassCache: boolean, cacheHits: number }
+// Chat requests from the tab skip the cache when regenerating, and count
+// cache hits so the side panel can mark the result as cached.
+const actionCacheScopes = new Map();
+
+/**
+ * Tells the side panel (if open) that a request went over a warn-only spending cap
+ * @param {string} warning
+ */
+function notifyUsageWarning(warning) {
+  chrome.runtime.sendMessage({ action: 'usage_warning', warning }).catch(() => {
+    // Side panel not open - the warning is already in the console
+  });
+}
+
+/**
+ * Builds the role-tagged message array for a chat request.
+ * Accepts either a `messages` array (with an optional separate `systemPrompt`)
+ * or the single-turn `systemPrompt` / `userPrompt` pair, plus an optional
+ * stable `context` (see BaseModel.buildMessages). User messages may carry
+ * `images`; the history may include tool calls and results from earlier
+ * questions (see ModelRegistry.chatWithTools).
+ * @param {Object} request - Incoming chat message
+ * @returns {Array<{role: string, content: string}>}
+ */
+function getChatMessages(request) {
+  const context = typeof request.context === 'string' ? request.context : '';
+  if (!Array.isArray(request.messages)) {
+    return BaseModel.buildMessages(request.systemPrompt, request.userPrompt, context);
+  }
+
+  const messages = request.messages
+    .filter(m => m && ['system', 'user', 'assistant', 'tool'].includes(m.role))
+    .map((m) => {
+      const message = { role: m.role, content: String(m.content ?? '') };
+      // Screenshots attached in the side panel, as { mediaType, data } base64
+      if (m.role === 'user' && Array.isArray(m.images)) {
+        const images = m.images.filter(image => image && /^image\//.test(image.mediaType) && typeof image.data === 'string');
+        if (images.length > 0) {
+          message.images = images.map(image => ({ mediaType: image.mediaType, data: image.data }));
+        }
+      }
+      if (m.role === 'assistant' && Array.isArray(m.toolCalls)) {
+        message.toolCalls = m.toolCalls.map(call => ({
+          id: String(call.id),
+          name: String(call.name),
+          arguments: call.arguments && typeof call.arguments === 'object' ? call.arguments : {}
+        }));
+        // Signed thinking blocks are passed back to the provider as they came
+        if (Array.isArray(m.reasoningBlocks)) {
+          message.reasoningBlocks = m.reasoningBlocks;
+        }
+      }
+      if (m.role === 'tool') {
+        Object.assign(message, { toolCallId: String(m.toolCallId), name: String(m.name), isError: !!m.isError });
+      }
+      return message;
+    });
+
+  if (context) {
+    messages.unshift({ role: 'system', content: context, cache: true });
+  }
+  if (request.systemPrompt) {
+    messages.unshift({ role: 'system', content: request.systemPrompt });
+  }
+  return messages;
+}
+
+/**
+ * Gets the task role a chat request is tagged with, if it's a known one
+ * @param {Object} request - Incoming chat message
+ * @returns {string|null} One of ModelRegistry.TASK_ROLES
+ */
+function getTaskRole(request) {
+  return ModelRegistry.TASK_ROLES.includes(request.task) ? request.task : null;
+}
+
+/**
+ * Names what made a chat request, for the inspector
+ * @param {Object} request - Incoming chat message, optionally with a `component` such as 'IntentParser'
+ * @param {number|null} tabId - Tab whose content scripts sent it (null: the side panel)
+ * @returns {string}
+ */
+function getComponent(request, tabId) {
+  if (typeof request.component === 'string' && request.component) {
+    return request.component.slice(0, 64);
+  }
+  return tabId ? 'Content script' : 'Side panel';
+}
+
+/**
+ * Runs a `chat` or `chat_json` request (see the message handler) as a job
+ * @param {Object} request - Incoming chat message, plus the sending tab's `tabId`
+ * @param {Object} context - Job context (see JobManager.register)
+ * @returns {Promise<Object>} { response, reasoning, model, cached }, or { data, model, cached } for chat_json
+ */
+async function runChatJob(request, { signal }) {
+  let answeredBy = null;
+  let cached = false;
+  let reasoning = '';
+  const chatOptions = {
+    task: getTaskRole(request),
+    component: getComponent(request, request.tabId),
+    generation: BaseModel.normalizeGenerationParams(request.generation || {}),
+    sensitive: !!request.sensitive,
+    signal,
+    onModelUsed: (model) => { answeredBy = model; },
+    onReasoning: (text) => { reasoning += text; },
+    onWarning: notifyUsageWarning
+  };
+
+  if (Array.isArray(request.messages)) {
+    const response = await modelRegistry.chatMessages(getChatMessages(request), chatOptions);
+    return { response: formatModelResponse(response), reasoning, model: answeredBy, cached };
+  }
+
+  // Single-turn requests can be answered from the response cache.
+  // Email content is never cached, so it isn't written to disk.
+  const scope = request.tabId ? actionCacheScopes.get(request.tabId) : null;
+  const cacheOptions = {
+    ...chatOptions,
+    context: typeof request.context === 'string' ? request.context : '',
+    useCache: !request.sensitive,
+    bypassCache: !!request.bypassCache || !!(scope && scope.bypassCache),
+    onCacheHit: () => {
+      cached = true;
+      if (scope) scope.cacheHits++;
+    }
+  };
+
+  if (request.action === 'chat_json') {
+    const data = await modelRegistry.chatJSON(request.systemPrompt, request.userPrompt, request.schema, cacheOptions);
+    return { data, model: answeredBy, cached };
+  }
+  const response = await modelRegistry.chat(request.systemPrompt, request.userPrompt, cacheOptions);
+  return { response: formatModelResponse(response), reasoning, model: answeredBy, cached };
+}
+
+// Work that has to survive the worker being stopped mid-flight
+jobManager.register('chat', runChatJob);
+jobManager.register('summarize', (params, context) => SummarizeJob.run(params, context));
+
+// Job types the side panel can start with `start_job`
+const PANEL_JOB_TYPES = ['summarize'];
+
 // When the user clicks on the extension action.
 chrome.action.onClicked.addListener((tab) => {
   console.log(`background.js onClicked called: ${tab.id}`);
@@ -65,7 +250,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       id: m.id,
       displayName: m.displayName,
       description: m.getDescription(),
-      requiresInternet: m.requiresInternet()
+      requiresInternet: m.requiresInternet(modelRegistry.currentConfig[m.id] || {}),
+      isCustomEndpoint: modelRegistry.isCustomEndpoint(m.id)
     }));
     sendResponse({ models });
     return true;
@@ -85,10 +271,179 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === 'get_token_budget') {
+    // Return the context window and reserved output tokens of the model
+    // used for the request's task (the current model if unassigned)
+    try {
+      sendResponse({ limits: modelRegistry.getCurrentModelLimits(getTaskRole(request)) });
+    } catch (error) {
+      sendResponse({ error: error.message });
+    }
+    return true;
+  }
+
+  if (request.action === 'get_fallback_chain') {
+    // Return the ordered list of fallback model IDs
+    sendResponse({ chain: modelRegistry.fallbackChain });
+    return true;
+  }
+
+  if (request.action === 'set_fallback_chain') {
+    // Replace the fallback chain
+    modelRegistry.setFallbackChain(request.chain || []).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'get_task_models') {
+    // Return the task roles and the model assigned to each
+    sendResponse({ roles: ModelRegistry.TASK_ROLES, assignments: modelRegistry.taskModels });
+    return true;
+  }
+
+  if (request.action === 'set_task_models') {
+    // Replace the task model assignments
+    modelRegistry.setTaskModels(request.assignments || {}).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'get_usage') {
+    // Return today's and this month's usage per model, with prices and caps
+    usageTracker.getSummary().then((summary) => {
+      const models = modelRegistry.getAllModels().map(m => ({
+        id: m.id,
+        displayName: m.displayName,
+        priced: !!m.getPricing(modelRegistry.currentConfig[m.id] || {})
+      }));
+      sendResponse({ ...summary, models });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'set_usage_caps') {
+    // Set or clear spending caps for a model
+    usageTracker.setCaps(request.modelId, request.caps || null).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'reset_usage') {
+    // Delete all recorded usage
+    usageTracker.reset().then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'get_cache_status') {
+    // Return whether the response cache is on and how many entries it holds
+    responseCache.count().then((entries) => {
+      sendResponse({ enabled: responseCache.enabled, entries });
+    }).catch((error) => {
+      sendResponse({ enabled: responseCache.enabled, entries: 0, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'set_cache_enabled') {
+    // Turn the response cache on or off
+    responseCache.setEnabled(request.enabled).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'clear_cache') {
+    // Delete every cached response
+    responseCache.clear().then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'export_settings') {
+    // Build a settings file, with API keys left out or encrypted with a passphrase
+    ConfigTransfer.exportSettings({
+      includeSecrets: !!request.includeSecrets,
+      passphrase: request.passphrase
+    }).then((data) => {
+      sendResponse({ success: true, data });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'preview_settings_import') {
+    // Describe what importing a settings file would change
+    ConfigTransfer.preview(request.data, request.passphrase).then((preview) => {
+      sendResponse({ success: true, preview });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'import_settings') {
+    // Apply a settings file
+    ConfigTransfer.apply(request.data, request.passphrase).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'get_recorder_status') {
+    // Return the record/replay mode and how many responses are recorded
+    sendResponse({ mode: modelRecorder.mode, entries: modelRecorder.count });
+    return true;
+  }
+
+  if (request.action === 'set_recorder_mode') {
+    // Switch between 'off', 'record' and 'replay'
+    modelRecorder.setMode(request.mode).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'export_recording') {
+    // Return the recorded responses as a file
+    sendResponse({ success: true, data: modelRecorder.exportRecording() });
+    return true;
+  }
+
+  if (request.action === 'import_recording') {
+    // Add the responses from a recording file
+    modelRecorder.importRecording(request.data).then((entries) => {
+      sendResponse({ success: true, entries });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'clear_recording') {
+    // Delete every recorded response
+    modelRecorder.clear().then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep channel open for async response
+  }
+
   if (request.action === 'get_model_config') {
     // Get configuration for a specific model
     const modelId = request.modelId || modelRegistry.currentModelId;
-    const config = modelRegistry.currentConfig[modelId] || {};
+    const config = modelRegistry.getConfigForDisplay(modelId);
     sendResponse({ config });
     return true;
   }
@@ -105,19 +460,103 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (request.action === 'list_available_models') {
+    // List models the provider can serve (options is null if it can't list them)
+    const model = modelRegistry.getModel(request.modelId);
+    if (!model) {
+      sendResponse({ error: 'Model not found' });
+      return true;
+    }
+
+    (async () => {
+      try {
+        const config = request.config || modelRegistry.currentConfig[request.modelId] || {};
+        const options = await model.listAvailableModels(config);
+        sendResponse({ options });
+      } catch (error) {
+        sendResponse({ error: error.message });
+      }
+    })();
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'test_connection') {
+    // Run connection diagnostics for a model with the given (possibly unsaved) config
+    const model = modelRegistry.getModel(request.modelId);
+    if (!model) {
+      sendResponse({ error: 'Model not found' });
+      return true;
+    }
+
+    model.testConnection(request.config || {}).then((result) => {
+      sendResponse({ result });
+    }).catch((error) => {
+      sendResponse({ error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
   if (request.action === 'save_model_config') {
     // Save configuration for a model
-    modelRegistry.setConfig(request.modelId, request.config);
-    modelRegistry.saveConfigsToStorage();
-    sendResponse({ success: true });
-    return true;
+    modelRegistry.saveConfig(request.modelId, request.config).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      console.error('Background: Saving configuration failed:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'get_vault_status') {
+    secretVault.isUnlocked().then((unlocked) => {
+      sendResponse({ enabled: secretVault.enabled, unlocked });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (['enable_vault', 'unlock_vault', 'lock_vault', 'disable_vault'].includes(request.action)) {
+    // Key vault changes; the passphrase is never stored or logged
+    const operations = {
+      enable_vault: () => modelRegistry.enableVault(request.passphrase),
+      unlock_vault: () => modelRegistry.unlockVault(request.passphrase),
+      lock_vault: () => modelRegistry.lockVault(),
+      disable_vault: () => modelRegistry.disableVault()
+    };
+    operations[request.action]().then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'add_custom_endpoint') {
+    // Create a new named OpenAI-compatible endpoint instance
+    const name = (request.name || '').trim();
+    if (!name) {
+      sendResponse({ success: false, error: 'Endpoint name is required' });
+      return true;
+    }
+
+    modelRegistry.addCustomEndpoint(name).then((modelId) => {
+      sendResponse({ success: true, modelId });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'remove_custom_endpoint') {
+    // Remove a user-defined endpoint instance and its configuration
+    modelRegistry.removeCustomEndpoint(request.modelId).then((removed) => {
+      sendResponse({ success: removed });
+    });
+    return true; // Keep channel open for async response
   }
 
   if (request.action === 'validate_config') {
     // Validate configuration for a model
     const model = modelRegistry.getModel(request.modelId);
     if (model) {
-      const validation = model.validateConfig(request.config);
+      const validation = model.validateConfig(modelRegistry.withLockedSecrets(request.modelId, request.config));
       sendResponse({ validation });
     } else {
       sendResponse({ error: 'Model not found' });
@@ -125,24 +564,86 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
-  if (request.action === 'chat') {
-    // Make a chat request using the current model
+  if (request.action === 'chat' || request.action === 'chat_json') {
+    // Make a chat request using the current model, or the model assigned to
+    // the request's `task` role. Each request runs as a job (see runChatJob),
+    // so it outlives the worker's idle timeout; requests are tracked by tab
+    // so the side panel can cancel them. They aren't resumed after a worker
+    // restart: the caller's message channel is gone with the worker.
+    // chat_json requests return a schema-validated value as `data`; chat
+    // requests return any reasoning ("thinking") separately as `reasoning`.
+    const tabId = sender.tab ? sender.tab.id : null;
+
     (async () => {
       try {
-        let response = await modelRegistry.chat(request.systemPrompt, request.userPrompt);
-
-        // Post-process response to clean up special formatting
-        // Convert [[dc]...[/dc]](url) format to proper HTML links labeled "Source"
-        response = response.replace(/\[\[dc\][^\]]+\[\/dc\]\]\((https?:\/\/[^\)]+)\)/g, '<a href="$1">Source</a>');
-
-        sendResponse({ success: true, response });
+        // A request can be what wakes the worker; it needs the configs loaded
+        await modelRegistryInitialization;
+        const job = await jobManager.start('chat', { ...request, tabId }, { tabId, resumable: false });
+        const finished = await jobManager.wait(job.id);
+        if (finished.status === 'done') {
+          sendResponse({ success: true, ...finished.result });
+        } else {
+          sendResponse({ success: false, error: finished.error, errorCode: finished.errorCode });
+        }
       } catch (error) {
-        sendResponse({ success: false, error: error.message });
+        sendResponse({ success: false, error: error.message, errorCode: error.code || 'UNKNOWN' });
       }
     })();
     return true; // Keep channel open for async response
   }
 
+  if (request.action === 'cancel_chat') {
+    // Cancel every request made from a tab's content scripts
+    sendResponse({ cancelled: request.tabId ? jobManager.cancelTab(request.tabId) : 0 });
+    return true;
+  }
+
+  if (request.action === 'start_job') {
+    // Start a background job from the side panel; follow it over a `job_watch` port
+    if (!PANEL_JOB_TYPES.includes(request.type)) {
+      sendResponse({ success: false, error: `Unknown job type: ${request.type}` });
+      return true;
+    }
+    modelRegistryInitialization
+      .then(() => jobManager.start(request.type, request.params || {}, { label: request.label || '' }))
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'list_jobs') {
+    // Side panel jobs that are running or whose result it hasn't collected
+    modelRegistryInitialization
+      .then(() => sendResponse({ jobs: jobManager.list({ tabId: null }) }))
+      .catch(error => sendResponse({ jobs: [], error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'cancel_job') {
+    sendResponse({ cancelled: jobManager.cancel(request.jobId) });
+    return true;
+  }
+
+  if (request.action === 'get_inspector_log') {
+    // Model calls logged for the inspector, newest first
+    sendResponse({ enabled: modelInspector.enabled, entries: modelInspector.getEntries() });
+    return true;
+  }
+
+  if (request.action === 'set_inspector_enabled') {
+    modelInspector.setEnabled(request.enabled)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'clear_inspector_log') {
+    modelInspector.clear()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (request.action === 'get_available_actions') {
     // Query available actions from the current tab's content script
     (async () => {
@@ -197,14 +698,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
           return;
         }
 
+        // Track the model calls the action makes, for the cached marker and regenerate
+        const scope = { bypassCache: !!request.bypassCache, cacheHits: 0 };
+        actionCacheScopes.set(tab.id, scope);
+
         // Send message to content script to execute the action
-        const response = await chrome.tabs.sendMessage(tab.id, {
-          action: 'execute_action',
-          actionKey: request.actionKey,
-          userInput: request.userInput || ''
-        });
+        let response;
+        try {
+          response = await chrome.tabs.sendMessage(tab.id, {
+            action: 'execute_action',
+            actionKey: request.actionKey,
+            command: request.command,
+            userInput: request.userInput || ''
+          });
+        } finally {
+          if (actionCacheScopes.get(tab.id) === scope) {
+            actionCacheScopes.delete(tab.id);
+          }
+        }
 
-        sendResponse(response);
+        sendResponse({ ...response, cached: scope.cacheHits > 0 });
       } catch (error) {
         console.error('Error executing action:', error);
         sendResponse({ success: false, error: error.message });
@@ -214,4 +727,88 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 
   return false;
-});
\ No newline at end of file
+});
+
+// Streaming chat over a long-lived port: the plugin connects, sends a single
+// chat request, and receives token/reasoning/tool/done/error messages until the stream ends
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'chat_stream') return;
+
+  // Disconnecting the port (e.g. the Stop button, or the panel closing) cancels the request
+  const controller = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+
+  const post = (message) => {
+    if (!disconnected) {
+      port.postMessage(message);
+    }
+  };
+
+  port.onMessage.addListener(async (request) => {
+    if (request.action !== 'chat') return;
+
+    try {
+      await modelRegistryInitialization;
+      let answeredBy = null;
+      const chatOptions = {
+        onToken: (token) => post({ type: 'token', token }),
+        onReasoning: (text) => post({ type: 'reasoning', text }),
+        task: getTaskRole(request),
+        component: getComponent(request, null),
+        generation: BaseModel.normalizeGenerationParams(request.generation || {}),
+        sensitive: !!request.sensitive,
+        signal: controller.signal,
+        onModelUsed: (model) => { answeredBy = model; },
+        onWarning: notifyUsageWarning
+      };
+
+      let response;
+      let toolMessages = [];
+      if (request.useTools) {
+        response = await modelRegistry.chatWithTools(getChatMessages(request), BrowserTools.tools, {
+          ...chatOptions,
+          onToolCall: (call) => post({ type: 'tool', call: { name: call.name, arguments: call.arguments } }),
+          onToolMessages: (messages) => { toolMessages = messages; }
+        });
+      } else {
+        response = await modelRegistry.chatMessages(getChatMessages(request), chatOptions);
+      }
+      post({ type: 'done', response: formatModelResponse(response), model: answeredBy, toolMessages });
+    } catch (error) {
+      console.error('Background: Streaming chat failed:', error);
+      post({ type: 'error', error: error.message, errorCode: error.code || 'UNKNOWN' });
+    }
+  });
+});
+
+// Following a job over a long-lived port: the plugin sends { action: 'watch', jobId }
+// and receives { job } on every progress update until the job finishes. It also
+// sends heartbeats, which keep the worker awake while it waits.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'job_watch') return;
+
+  let unwatch = null;
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    if (unwatch) unwatch();
+  });
+
+  port.onMessage.addListener(async (message) => {
+    if (message.action !== 'watch' || unwatch) return;
+
+    // After a restart, the job is only known once it has been reloaded
+    try {
+      await modelRegistryInitialization;
+    } catch (error) {
+      // Jobs that did load can still be watched
+    }
+    // If the panel went away meanwhile, leave the result for it to reattach to
+    if (disconnected) return;
+    unwatch = jobManager.watch(message.jobId, job => port.postMessage({ job }));
+  });
+});
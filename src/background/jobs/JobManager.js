@@ -0,0 +1,374 @@
+/**
+ * JobManager - Long-running background work that survives the service worker stopping
+ *
+ * Chrome stops an idle MV3 service worker after about 30 seconds, dropping
+ * whatever it was waiting on. Work that can take longer (model requests,
+ * chunked summaries) runs as a job: it gets an ID, its progress is
+ * checkpointed to chrome.storage.session, and while any job runs the worker
+ * keeps itself awake with a heartbeat. If the worker is stopped anyway,
+ * resumable jobs continue from their last checkpoint when it starts again.
+ * Callers follow a job with watch() or wait(); the side panel does so over a
+ * `job_watch` port, which also sends heartbeats, and reattaches to its jobs
+ * after it reopens. Finished jobs are forgotten once their result has been
+ * delivered, or after JOB_TTL_MS.
+ */
+class JobManager {
+  constructor() {
+    if (JobManager.instance) {
+      return JobManager.instance;
+    }
+
+    this.runners = {};              // Job type -> async run(params, context)
+    this.jobs = new Map();          // Job ID -> job record (see start())
+    this.controllers = new Map();   // Job ID -> AbortController, for jobs running in this worker
+    this.watchers = new Map();      // Job ID -> Set of listeners
+    this.heartbeatTimer = null;
+
+    JobManager.instance = this;
+  }
+
+  /**
+   * Registers the function that does a type of job. It is called with the
+   * job's params and a context:
+   * - signal: AbortSignal, aborted when the job is cancelled
+   * - state: what the job last checkpointed, or null on a fresh start
+   * - checkpoint(state, progress): saves state to resume from, and progress
+   * - progress({ done, total, text }): reports progress without saving; text
+   *   optionally describes it for display, e.g. 'chunk 3/10 done'
+   * and resolves with the job's result (anything JSON-serializable).
+   *
+   * @param {string} type
+   * @param {Function} run
+   */
+  register(type, run) {
+    this.runners[type] = run;
+  }
+
+  /**
+   * Loads the jobs checkpointed before the worker last stopped, dropping
+   * finished ones older than JOB_TTL_MS
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromStorage() {
+    const stored = await chrome.storage.session.get(null);
+
+    for (const [key, job] of Object.entries(stored)) {
+      if (!key.startsWith(JobManager.STORAGE_PREFIX) || this.jobs.has(job.id)) continue;
+
+      if (job.status !== 'running' && Date.now() - job.updatedAt > JobManager.JOB_TTL_MS) {
+        await chrome.storage.session.remove(key);
+      } else {
+        this.jobs.set(job.id, job);
+      }
+    }
+  }
+
+  /**
+   * Starts a job
+   *
+   * @param {string} type - A registered job type
+   * @param {Object} params - JSON-serializable input, kept for resuming
+   * @param {Object} [options]
+   * @param {string} [options.id] - Job ID (default: generated)
+   * @param {number|null} [options.tabId] - Tab whose content scripts started it (null: the side panel)
+   * @param {boolean} [options.resumable] - Run it again from its checkpoint after a worker restart (default true)
+   * @param {string} [options.label] - Description the side panel shows when it reattaches
+   * @returns {Promise<Object>} The job (see getView())
+   * @throws {Error} If the type isn't registered
+   */
+  async start(type, params, { id = null, tabId = null, resumable = true, label = '' } = {}) {
+    if (!this.runners[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = {
+      id: id || `job-${crypto.randomUUID()}`,
+      type,
+      params,
+      tabId,
+      resumable,
+      label,
+      status: 'running',  // 'running', 'done', 'error' or 'cancelled'
+      progress: null,     // { done, total, text? }
+      state: null,        // Checkpointed by the runner
+      result: null,
+      error: null,
+      errorCode: null,
+      resumes: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save(job);
+    this.run(job);
+    return this.getView(job);
+  }
+
+  /**
+   * Runs a job to completion, recording its result or error
+   *
+   * @param {Object} job
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    this.updateHeartbeat();
+
+    const context = {
+      signal: controller.signal,
+      state: job.state,
+      checkpoint: async (state, progress = job.progress) => {
+        job.state = state;
+        job.progress = progress;
+        job.updatedAt = Date.now();
+        await this.save(job);
+        this.notify(job);
+      },
+      progress: (progress) => {
+        job.progress = progress;
+        this.notify(job);
+      }
+    };
+
+    try {
+      job.result = await this.runners[job.type](job.params, context);
+      job.status = 'done';
+    } catch (error) {
+      if (controller.signal.aborted) {
+        Object.assign(job, { status: 'cancelled', error: 'Request cancelled', errorCode: 'ABORTED' });
+      } else {
+        Object.assign(job, { status: 'error', error: error.message, errorCode: error.code || 'UNKNOWN' });
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      this.updateHeartbeat();
+    }
+
+    // Params and checkpoints were only kept for resuming
+    job.params = null;
+    job.state = null;
+    job.updatedAt = Date.now();
+    await this.save(job);
+    this.notify(job);
+  }
+
+  /**
+   * Restarts jobs that were running when the worker stopped. Jobs that
+   * aren't resumable, or were interrupted MAX_RESUMES times, fail instead.
+   *
+   * @returns {Promise<void>}
+   */
+  async resumeInterrupted() {
+    for (const job of this.jobs.values()) {
+      if (job.status !== 'running' || this.controllers.has(job.id)) continue;
+
+      if (!job.resumable || job.resumes >= JobManager.MAX_RESUMES) {
+        Object.assign(job, {
+          status: 'error',
+          error: 'Interrupted when the browser stopped the background worker. Try again.',
+          errorCode: 'INTERRUPTED',
+          params: null,
+          state: null,
+          updatedAt: Date.now()
+        });
+        await this.save(job);
+        this.notify(job);
+        continue;
+      }
+
+      job.resumes++;
+      console.log(`Resuming ${job.type} job ${job.id}${job.progress ? ` at ${job.progress.done}/${job.progress.total}` : ''}`);
+      this.run(job);
+    }
+  }
+
+  /**
+   * Keeps the worker awake while jobs run: each extension API call resets
+   * its idle timer
+   */
+  updateHeartbeat() {
+    if (this.controllers.size > 0 && !this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => chrome.runtime.getPlatformInfo(), JobManager.HEARTBEAT_MS);
+    } else if (this.controllers.size === 0 && this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Cancels a job
+   *
+   * @param {string} id
+   * @returns {boolean} Whether a running job was cancelled
+   */
+  cancel(id) {
+    const controller = this.controllers.get(id);
+    if (!controller) {
+      return false;
+    }
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Cancels every running job started from a tab's content scripts
+   *
+   * @param {number} tabId
+   * @returns {number} Number of jobs cancelled
+   */
+  cancelTab(tabId) {
+    let cancelled = 0;
+    for (const job of this.jobs.values()) {
+      if (job.tabId === tabId && this.cancel(job.id)) {
+        cancelled++;
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * What callers see of a job: no params or checkpoint state
+   *
+   * @param {Object} job
+   * @returns {{id: string, type: string, tabId: number|null, label: string, status: string,
+   *   progress: Object|null, result: *, error: string|null, errorCode: string|null}}
+   */
+  getView(job) {
+    const { id, type, tabId, label, status, progress, result, error, errorCode } = job;
+    return { id, type, tabId, label, status, progress, result, error, errorCode };
+  }
+
+  /**
+   * Lists the jobs that are running or whose result hasn't been delivered
+   *
+   * @param {Object} [filter]
+   * @param {number|null} [filter.tabId] - Only jobs started from this tab (null: the side panel)
+   * @returns {Array<Object>} See getView()
+   */
+  list({ tabId } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => tabId === undefined || job.tabId === tabId)
+      .map(job => this.getView(job));
+  }
+
+  /**
+   * Calls a listener with the job now and on every change. Once a finished
+   * job has been passed to a listener, it is forgotten.
+   *
+   * @param {string} id
+   * @param {Function} listener - Called with the job (see getView()), or null if it doesn't exist
+   * @returns {Function} Stops watching
+   */
+  watch(id, listener) {
+    if (!this.watchers.has(id)) {
+      this.watchers.set(id, new Set());
+    }
+    this.watchers.get(id).add(listener);
+
+    // Asynchronously, so the caller has the unwatch function first
+    Promise.resolve().then(() => {
+      const job = this.jobs.get(id);
+      if (!job) {
+        listener(null);
+      } else {
+        this.notify(job, listener);
+      }
+    });
+
+    return () => {
+      const listeners = this.watchers.get(id);
+      if (listeners) {
+        listeners.delete(listener);
+        if (listeners.size === 0) this.watchers.delete(id);
+      }
+    };
+  }
+
+  /**
+   * Waits for a job to finish
+   *
+   * @param {string} id
+   * @returns {Promise<Object>} The finished job (see getView())
+   * @throws {Error} If the job doesn't exist
+   */
+  wait(id) {
+    return new Promise((resolve, reject) => {
+      const unwatch = this.watch(id, (job) => {
+        if (!job) {
+          unwatch();
+          reject(new Error(`Unknown job: ${id}`));
+        } else if (job.status !== 'running') {
+          unwatch();
+          resolve(job);
+        }
+      });
+    });
+  }
+
+  /**
+   * Passes a job's current state to its watchers (or one listener)
+   *
+   * @param {Object} job
+   * @param {Function} [only] - Notify just this listener
+   */
+  notify(job, only = null) {
+    const listeners = only ? [only] : Array.from(this.watchers.get(job.id) || []);
+    if (listeners.length === 0) return;
+
+    const view = this.getView(job);
+    for (const listener of listeners) {
+      try {
+        listener(view);
+      } catch (error) {
+        console.error(`Job ${job.id} listener failed:`, error);
+      }
+    }
+
+    if (job.status !== 'running') {
+      this.forget(job.id);
+    }
+  }
+
+  /**
+   * Deletes a finished job
+   *
+   * @param {string} id
+   */
+  forget(id) {
+    this.jobs.delete(id);
+    chrome.storage.session.remove(JobManager.STORAGE_PREFIX + id).catch((error) => {
+      console.warn(`Could not delete job ${id}:`, error);
+    });
+  }
+
+  /**
+   * Checkpoints a job to session storage. A failed write only costs the
+   * ability to resume.
+   *
+   * @param {Object} job
+   * @returns {Promise<void>}
+   */
+  async save(job) {
+    if (!this.jobs.has(job.id)) return;
+
+    try {
+      await chrome.storage.session.set({ [JobManager.STORAGE_PREFIX + job.id]: job });
+    } catch (error) {
+      console.warn(`Could not checkpoint job ${job.id}:`, error);
+    }
+  }
+}
+
+JobManager.STORAGE_PREFIX = 'job:';
+// Chrome stops a worker after 30 seconds without events or extension API calls
+JobManager.HEARTBEAT_MS = 20000;
+// Times a job is restarted after the worker stopped before it is given up
+JobManager.MAX_RESUMES = 3;
+// How long a finished job whose result nobody collected is kept
+JobManager.JOB_TTL_MS = 15 * 60 * 1000;
+
+// Create singleton instance
+const jobManager = new JobManager();
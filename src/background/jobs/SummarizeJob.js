@@ -0,0 +1,153 @@
+/**
+ * SummarizeJob - Summarizes long text (a page, a PDF) chunk by chunk
+ *
+ * The text is split into chunks that fit the summarizing model's context
+ * window, the chunks are summarized in parallel (as many at once as the
+ * model's getMaxConcurrency() allows), and the partial summaries are merged,
+ * in page order, in a final request. A chunk that fails is retried on its own
+ * a few times; if it still fails the job fails rather than leave a gap.
+ * Runs as a background job (see JobManager): progress is checkpointed after
+ * every chunk, so a summary interrupted by the worker stopping only redoes
+ * the chunks that hadn't finished.
+ */
+const SummarizeJob = {
+  CHUNK_PROMPT: `Summarize the webpage text chunk. Keep only the main content and critical info.
+Ignore/omit: navigation/menus, ads, headers/footers, sidebars, boilerplate, and bottom thumbnail/related sections.
+If the chunk is mostly low-information or boilerplate, output: NO_CONTENT.`,
+
+  COMBINE_PROMPT: `Merge the partial summaries into one cohesive, well-structured summary.
+Remove repeats. Preserve key facts/findings/conclusions.
+Output ONLY the final summary in Markdown (use concise bullets where helpful). No preface or meta text.`,
+
+  /**
+   * @param {{text: string}} params
+   * @param {Object} context - Job context (see JobManager.register)
+   * @returns {Promise<{text: string}>} The summary
+   * @throws {ModelError} With code 'ABORTED' if cancelled, or the error of a
+   *   chunk that failed CHUNK_ATTEMPTS times
+   */
+  async run(params, context) {
+    const budget = TokenBudget.forTask('summarize');
+
+    // The chunk size is checkpointed so a resumed job splits the text the same way.
+    // chunkSummaries is indexed by chunk, with null for chunks not done yet.
+    const state = context.state || {
+      chunkTokens: await budget.getContentBudget(this.CHUNK_PROMPT),
+      chunkSummaries: []
+    };
+    const chunks = TokenBudget.split(params.text, state.chunkTokens);
+    const pending = chunks.map((chunk, i) => i).filter(i => state.chunkSummaries[i] == null);
+    const concurrency = Math.min(this.getConcurrency(), pending.length);
+    console.log(`Summarizing ${chunks.length} chunks of up to ${state.chunkTokens} tokens, ${concurrency} at a time`);
+
+    // A chunk that fails for good stops the chunks still in flight
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    context.signal.addEventListener('abort', onAbort, { once: true });
+    const chatOptions = { task: 'summarize', component: 'SummarizeJob', signal: controller.signal, useCache: true };
+
+    let done = chunks.length - pending.length;
+    const progress = () => ({ done, total: chunks.length, text: `chunk ${done}/${chunks.length} done` });
+    context.progress(progress());
+
+    // Each worker takes the next pending chunk until none are left
+    let failure = null;
+    const worker = async () => {
+      while (pending.length > 0 && !controller.signal.aborted) {
+        const i = pending.shift();
+        try {
+          state.chunkSummaries[i] = await this.summarizeChunk(chunks[i], i, chunks.length, chatOptions);
+        } catch (error) {
+          // Only the first failure counts; the others are the chunks it cancelled
+          failure = failure || error;
+          controller.abort();
+          return;
+        }
+        done++;
+        await context.checkpoint(state, progress());
+      }
+    };
+
+    // Settle every worker before failing, so none checkpoints a finished job
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    context.signal.removeEventListener('abort', onAbort);
+    if (context.signal.aborted) {
+      throw new ModelError('Request cancelled', { code: ModelError.Codes.ABORTED });
+    }
+    if (failure) {
+      throw failure;
+    }
+
+    const chunkSummaries = state.chunkSummaries.filter(Boolean);
+    if (chunkSummaries.length <= 1) {
+      return { text: chunkSummaries[0] || 'Could not generate a summary.' };
+    }
+
+    console.log('Combining chunk summaries into a final report...');
+    context.progress({ done, total: chunks.length, text: `combining ${chunks.length} chunk summaries` });
+    // Many chunks can produce more summary text than fits in one request
+    const combined = await budget.fit(chunkSummaries.join('\n\n---\n\n'), this.COMBINE_PROMPT);
+    const notice = TokenBudget.truncationNotice(combined, 'set of section summaries');
+    if (combined.truncated) {
+      console.warn(`Combined summaries cut to ${Math.round(combined.keptFraction * 100)}% to fit the context window`);
+    }
+
+    try {
+      const summary = await modelRegistry.chat(this.COMBINE_PROMPT, combined.text, { ...chatOptions, signal: context.signal });
+      return { text: notice ? `${summary}\n\n${notice}` : summary };
+    } catch (error) {
+      if (error.code === 'ABORTED') throw error;
+      console.error('Error combining summaries:', error);
+      return { text: chunkSummaries.join('\n\n---\n\n') };
+    }
+  },
+
+  /**
+   * Summarizes one chunk, retrying it on its own if it fails. Provider
+   * outages and rate limits are already retried and failed over by the
+   * model layer; this also covers everything else, like a dropped stream.
+   *
+   * @param {string} chunk
+   * @param {number} index
+   * @param {number} total
+   * @param {Object} chatOptions
+   * @returns {Promise<string>}
+   * @throws {ModelError} The last error, once CHUNK_ATTEMPTS have failed or if cancelled
+   */
+  async summarizeChunk(chunk, index, total, chatOptions) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await modelRegistry.chat(this.CHUNK_PROMPT, chunk, chatOptions);
+      } catch (error) {
+        if (error.code === 'ABORTED' || chatOptions.signal.aborted) throw error;
+        console.error(`Error summarizing chunk ${index + 1}/${total} (attempt ${attempt}):`, error);
+        if (attempt >= this.CHUNK_ATTEMPTS) {
+          error.message = `Could not summarize part ${index + 1} of ${total}: ${error.message}`;
+          throw error;
+        }
+        await BaseModel.sleep(this.CHUNK_RETRY_DELAY_MS * attempt, chatOptions.signal);
+        if (chatOptions.signal.aborted) {
+          throw new ModelError('Request cancelled', { code: ModelError.Codes.ABORTED });
+        }
+      }
+    }
+  },
+
+  /**
+   * Chunks to summarize at once, from the summarizing model's settings
+   *
+   * @returns {number}
+   */
+  getConcurrency() {
+    try {
+      return modelRegistry.getConcurrencyLimit('summarize');
+    } catch (error) {
+      // No usable model: let the first request report why
+      return 1;
+    }
+  }
+};
+
+// Tries per chunk, and the pause before each retry (multiplied by the attempt number)
+SummarizeJob.CHUNK_ATTEMPTS = 3;
+SummarizeJob.CHUNK_RETRY_DELAY_MS = 2000;
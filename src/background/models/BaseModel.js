@@ -62,18 +62,31 @@ class BaseModel {
   getConfigFields() {
     const baseFields = [
       {
-        name: 'chunkSize',
-        label: 'Content Chunk Size',
+        name: 'contextWindow',
+        label: 'Context Window (tokens)',
         type: 'number',
-        placeholder: '50000',
+        placeholder: 'Auto',
         required: false,
-        defaultValue: '50000',
-        helpText: 'Maximum characters per chunk when summarizing long pages. Larger values use more of the model\'s context window but require fewer API calls. Recommended: 50K for smaller models, 100-150K for GPT-4o/Claude.'
+        helpText: 'Leave empty to use the known limit for this model. Set it for local models loaded with a custom context length.'
+      },
+      {
+        name: 'maxConcurrency',
+        label: 'Parallel Requests',
+        type: 'number',
+        placeholder: 'Auto',
+        required: false,
+        min: 1,
+        max: 16,
+        helpText: 'How many requests to send at once, e.g. when summarizing a long page in chunks. Leave empty for 4 with cloud APIs and 1 with local models.'
       }
     ];
 
+    // Generation parameters the provider can send, between its own fields and the base ones
+    const supported = this.getSupportedGenerationParams();
+    const generationFields = BaseModel.GENERATION_FIELDS.filter(field => supported.includes(field.name));
+
     // Combine model-specific fields with base fields
-    return [...this.getModelSpecificConfigFields(), ...baseFields];
+    return [...this.getModelSpecificConfigFields(), ...generationFields, ...baseFields];
   }
 
   /**
@@ -90,6 +103,14 @@ class BaseModel {
       if (field.required && !config[field.name]) {
         errors[field.name] = `${field.label} is required`;
       }
+
+      const value = config[field.name];
+      if (field.type === 'number' && value !== undefined && value !== '' && (field.min !== undefined || field.max !== undefined)) {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < field.min || number > field.max) {
+          errors[field.name] = `${field.label} must be between ${field.min} and ${field.max}`;
+        }
+      }
     }
 
     return {
@@ -98,9 +119,403 @@ class BaseModel {
     };
   }
 
+  /**
+   * Returns the token limits used to size prompts for this configuration.
+   * Subclasses declare per-model values in getDefaultModelLimits(); the
+   * user's Context Window setting, if any, overrides the window.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @returns {{contextWindow: number, maxOutputTokens: number}} maxOutputTokens is
+   *   what gets reserved for the response
+   */
+  getModelLimits(config = {}) {
+    const limits = { ...this.getDefaultModelLimits(config) };
+
+    const override = parseInt(config.contextWindow);
+    if (override > 0) {
+      limits.contextWindow = override;
+    }
+
+    // Never reserve more than half the window for the response
+    limits.maxOutputTokens = Math.min(limits.maxOutputTokens, Math.floor(limits.contextWindow / 2));
+    return limits;
+  }
+
+  /**
+   * Returns the most output tokens one request can be billed for, used to
+   * project its cost against spending caps. By default the reserved response;
+   * providers that bill reasoning on top (Claude's thinking budget) override it.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @returns {number}
+   */
+  getMaxBilledOutputTokens(config = {}) {
+    return this.getModelLimits(config).maxOutputTokens;
+  }
+
+  /**
+   * Returns how many requests may run at once for this configuration, for
+   * work split into independent parts (see SummarizeJob). The user's Parallel
+   * Requests setting wins; otherwise cloud APIs get CLOUD_CONCURRENCY and
+   * local servers, which usually process one request at a time, LOCAL_CONCURRENCY.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @returns {number}
+   */
+  getMaxConcurrency(config = {}) {
+    const override = parseInt(config.maxConcurrency);
+    if (override > 0) {
+      return override;
+    }
+    return this.requiresInternet(config) ? BaseModel.CLOUD_CONCURRENCY : BaseModel.LOCAL_CONCURRENCY;
+  }
+
+  /**
+   * Returns the known limits for the configured model. Override with
+   * per-model values; the default is a conservative guess for unknown models.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @returns {{contextWindow: number, maxOutputTokens: number}}
+   */
+  getDefaultModelLimits(config) {
+    return {
+      contextWindow: 8192,
+      maxOutputTokens: parseInt(config.maxTokens) || 1024
+    };
+  }
+
+  /**
+   * Returns the price of the configured model, for usage tracking and
+   * spending caps. Override for paid APIs; the default (null) means the
+   * model is free or its price is unknown, so only tokens are tracked.
+   *
+   * Providers with prompt caching may add `cacheReadPerMTok` and
+   * `cacheWritePerMTok`; cached tokens are otherwise priced as input.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @returns {{inputPerMTok: number, outputPerMTok: number, cacheReadPerMTok?: number, cacheWritePerMTok?: number}|null}
+   *   USD per million tokens
+   */
+  getPricing(config) {
+    return null;
+  }
+
+  /**
+   * Returns the generation parameters this provider can send, by their
+   * neutral names in GENERATION_FIELDS ('temperature', 'topP', 'stop',
+   * 'seed', 'frequencyPenalty', 'presencePenalty'). Only these get config
+   * fields and reach getGenerationParams(). Called without a config to
+   * build the config fields, so depend on it only to narrow the list.
+   *
+   * @param {Object} [config] - Model-specific configuration
+   * @returns {Array<string>}
+   */
+  getSupportedGenerationParams(config = {}) {
+    return [];
+  }
+
+  /**
+   * Returns the generation parameters to send with a request: the saved
+   * configuration's values with the caller's per-call overrides on top,
+   * limited to what getSupportedGenerationParams() declares. Providers map
+   * the neutral names to their API's.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @param {Object} [overrides] - options.generation from chatMessages()
+   * @returns {{temperature?: number, topP?: number, stop?: Array<string>, seed?: number,
+   *   frequencyPenalty?: number, presencePenalty?: number}}
+   */
+  getGenerationParams(config, overrides = {}) {
+    const supported = this.getSupportedGenerationParams(config);
+    const params = {
+      ...BaseModel.normalizeGenerationParams(config),
+      ...BaseModel.normalizeGenerationParams(overrides)
+    };
+    return Object.fromEntries(Object.entries(params).filter(([name]) => supported.includes(name)));
+  }
+
+  /**
+   * Parses generation parameters from config strings or a caller's
+   * overrides, dropping empty values and anything that isn't one. Stop
+   * sequences may be an array or a comma-separated string, where `\n`
+   * stands for a line break.
+   *
+   * @param {Object} params
+   * @returns {Object}
+   */
+  static normalizeGenerationParams(params) {
+    const normalized = {};
+
+    for (const { name } of BaseModel.GENERATION_FIELDS) {
+      const value = params[name];
+      if (value === undefined || value === null || value === '') continue;
+
+      if (name === 'stop') {
+        const stop = Array.isArray(value)
+          ? value.filter(sequence => typeof sequence === 'string' && sequence)
+          : String(value).split(',').map(sequence => sequence.trim().replace(/\\n/g, '\n')).filter(Boolean);
+        if (stop.length > 0) {
+          normalized.stop = stop;
+        }
+      } else {
+        const number = name === 'seed' ? parseInt(value) : parseFloat(value);
+        if (Number.isFinite(number)) {
+          normalized[name] = number;
+        }
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Whether this provider can send tool definitions and return tool calls.
+   * Override to return true once chatMessages() handles options.tools and
+   * maps 'tool' messages and assistant `toolCalls` to the API format.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @returns {boolean}
+   */
+  supportsTools(config) {
+    return false;
+  }
+
+  /**
+   * Whether the configured model can read images. Override to return true
+   * once chatMessages() maps each message's `images` to the API's image
+   * content parts; requests with images skip models that return false.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @returns {boolean}
+   */
+  supportsVision(config) {
+    return false;
+  }
+
+  /**
+   * Whether any message carries images
+   *
+   * @param {Array<Object>} messages
+   * @returns {boolean}
+   */
+  static hasImages(messages) {
+    return messages.some(m => Array.isArray(m.images) && m.images.length > 0);
+  }
+
+  /**
+   * Builds a data URL for an image attached to a message
+   *
+   * @param {{mediaType: string, data: string}} image - Base64 image data
+   * @returns {string}
+   */
+  static toDataUrl(image) {
+    return `data:${image.mediaType};base64,${image.data}`;
+  }
+
+  /**
+   * Whether this provider can constrain its output to a JSON Schema natively
+   * (e.g. OpenAI `response_format`). Override to return true once
+   * chatMessages() handles options.jsonSchema; otherwise the schema is
+   * only described in the prompt and the output checked afterwards.
+   *
+   * @param {Object} config - Model-specific configuration
+   * @returns {boolean}
+   */
+  supportsJSONMode(config) {
+    return false;
+  }
+
+  /**
+   * Passes the tool calls a response asked for to the caller's onToolCalls callback
+   *
+   * @param {Object} options - Options given to chatMessages()
+   * @param {Array<{id: string, name: string, arguments: Object}>} toolCalls
+   * @param {Array<Object>} [reasoningBlocks] - Provider data that must be sent back
+   *   with the calls (Claude's signed thinking blocks), kept as the assistant
+   *   message's `reasoningBlocks`
+   */
+  static reportToolCalls(options, toolCalls, reasoningBlocks = null) {
+    if (typeof options.onToolCalls === 'function' && toolCalls.length > 0) {
+      options.onToolCalls(toolCalls, reasoningBlocks);
+    }
+  }
+
+  /**
+   * Passes reasoning ("thinking") text to the caller's onReasoning callback,
+   * separately from the answer. Streams call it with each fragment.
+   *
+   * @param {Object} options - Options given to chatMessages()
+   * @param {string} text
+   */
+  static reportReasoning(options, text) {
+    if (typeof options.onReasoning === 'function' && text) {
+      options.onReasoning(text);
+    }
+  }
+
+  /**
+   * Creates a parser that separates <think>…</think> blocks, which local
+   * reasoning models (DeepSeek-R1, Qwen3, ...) write inline, from the answer
+   * as a stream arrives. Tags split across fragments are held back until
+   * they can be recognized.
+   *
+   * @param {Function} onText - Called with answer fragments
+   * @param {Function} onReasoning - Called with reasoning fragments
+   * @returns {{push: Function, flush: Function}}
+   */
+  static createThinkTagParser(onText, onReasoning) {
+    let buffer = '';
+    let thinking = false;
+
+    const emit = (text) => {
+      if (text) (thinking ? onReasoning : onText)(text);
+    };
+
+    return {
+      push(fragment) {
+        buffer += fragment;
+        while (buffer) {
+          const tag = thinking ? '</think>' : '<think>';
+          const index = buffer.indexOf(tag);
+          if (index !== -1) {
+            emit(buffer.substring(0, index));
+            buffer = buffer.substring(index + tag.length);
+            thinking = !thinking;
+            continue;
+          }
+
+          // Keep a possible start of the tag for the next fragment
+          let keep = Math.min(tag.length - 1, buffer.length);
+          while (keep > 0 && !buffer.endsWith(tag.substring(0, keep))) keep--;
+          emit(buffer.substring(0, buffer.length - keep));
+          buffer = buffer.substring(buffer.length - keep);
+          break;
+        }
+      },
+      flush() {
+        emit(buffer);
+        buffer = '';
+      }
+    };
+  }
+
+  /**
+   * Separates <think>…</think> blocks from a complete response
+   *
+   * @param {string} text
+   * @returns {{text: string, reasoning: string}}
+   */
+  static splitThinkTags(text) {
+    let answer = '';
+    let reasoning = '';
+    const parser = BaseModel.createThinkTagParser((t) => { answer += t; }, (t) => { reasoning += t; });
+    parser.push(text || '');
+    parser.flush();
+    return { text: reasoning ? answer.trim() : answer, reasoning: reasoning.trim() };
+  }
+
+  /**
+   * Parses tool call arguments sent by the API as a JSON string
+   *
+   * @param {string} json
+   * @returns {Object} Empty if missing or malformed
+   */
+  static parseToolArguments(json) {
+    if (!json) return {};
+    try {
+      return JSON.parse(json);
+    } catch (e) {
+      console.warn('Could not parse tool call arguments:', json);
+      return {};
+    }
+  }
+
+  /**
+   * Rewrites a tool exchange as plain text, for models without tool support
+   * (e.g. a fallback model picking up a conversation that used tools)
+   *
+   * @param {Array<Object>} messages - May include assistant `toolCalls` and 'tool' messages
+   * @returns {Array<{role: string, content: string}>}
+   */
+  static flattenToolMessages(messages) {
+    return messages.map((m) => {
+      if (m.role === 'tool') {
+        return { role: 'user', content: `[Result of ${m.name}]\n${m.content}` };
+      }
+      if (m.toolCalls) {
+        const calls = m.toolCalls.map(c => `[Called ${c.name} ${JSON.stringify(c.arguments)}]`).join('\n');
+        return { role: 'assistant', content: m.content ? `${m.content}\n${calls}` : calls };
+      }
+      return m;
+    });
+  }
+
+  /**
+   * Passes token counts reported by the API to the caller's onUsage callback
+   *
+   * @param {Object} options - Options given to chatMessages()
+   * @param {number} [inputTokens] - Every prompt token, cached or not
+   * @param {number} [outputTokens]
+   * @param {Object} [cache] - Prompt caching, for providers that report it
+   * @param {number} [cache.readTokens] - Prompt tokens read from the provider's cache
+   * @param {number} [cache.writeTokens] - Prompt tokens written to it
+   */
+  static reportUsage(options, inputTokens, outputTokens, { readTokens = 0, writeTokens = 0 } = {}) {
+    if (typeof options.onUsage === 'function' && (inputTokens || outputTokens)) {
+      const usage = { inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 };
+      if (readTokens || writeTokens) {
+        usage.cacheReadTokens = readTokens;
+        usage.cacheWriteTokens = writeTokens;
+      }
+      options.onUsage(usage);
+    }
+  }
+
+  /**
+   * Builds a role-tagged message array from a system prompt and a single user prompt
+   *
+   * Stable context (page or email text that several requests share) goes in
+   * its own system message flagged `cache`, after the instructions and
+   * before the question, so providers with prompt caching can reuse it.
+   *
+   * @param {string} systemPrompt - System message to set context
+   * @param {string} userPrompt - User's message/question
+   * @param {string} [context] - Stable context for the question
+   * @returns {Array<{role: string, content: string, cache?: boolean}>}
+   */
+  static buildMessages(systemPrompt, userPrompt, context = '') {
+    const messages = [];
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+    if (context) {
+      messages.push({ role: 'system', content: context, cache: true });
+    }
+    messages.push({ role: 'user', content: userPrompt });
+    return messages;
+  }
+
+  /**
+   * Separates system messages from the conversation turns.
+   * Useful for APIs that take the system prompt as a separate parameter.
+   *
+   * @param {Array<{role: string, content: string}>} messages
+   * @returns {{system: string, turns: Array<{role: string, content: string}>}}
+   */
+  static splitSystemMessages(messages) {
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+    const turns = messages.filter(m => m.role !== 'system');
+    return { system, turns };
+  }
+
   /**
    * Makes a chat completion request to the model provider
    *
+   * Convenience wrapper around chatMessages() for single-turn requests.
+   *
    * @param {string} systemPrompt - System message to set context
    * @param {string} userPrompt - User's message/question
    * @param {Object} config - Model-specific configuration (API keys, model names, etc.)
@@ -108,7 +523,330 @@ class BaseModel {
    * @throws {Error} If the request fails
    */
   async chat(systemPrompt, userPrompt, config) {
-    throw new Error('chat() must be implemented by subclass');
+    return this.chatMessages(BaseModel.buildMessages(systemPrompt, userPrompt), config);
+  }
+
+  /**
+   * Makes a streaming chat completion request for a single-turn prompt
+   *
+   * Convenience wrapper around chatMessages() with an onToken callback.
+   *
+   * @param {string} systemPrompt - System message to set context
+   * @param {string} userPrompt - User's message/question
+   * @param {Object} config - Model-specific configuration
+   * @param {Function} onToken - Called with each text fragment as it arrives
+   * @returns {Promise<string>} The complete response text once the stream ends
+   * @throws {Error} If the request fails
+   */
+  async chatStream(systemPrompt, userPrompt, config, onToken) {
+    return this.chatMessages(BaseModel.buildMessages(systemPrompt, userPrompt), config, { onToken });
+  }
+
+  /**
+   * Makes a multi-turn chat completion request to the model provider.
+   * Subclasses should implement this and map the messages to their API format.
+   *
+   * Providers written against the older chat(systemPrompt, userPrompt) interface
+   * still work: the default implementation flattens the conversation into a
+   * single prompt and delivers the whole response as one token.
+   *
+   * @param {Array<{role: string, content: string}>} messages - Role-tagged messages
+   *   ('system', 'user' or 'assistant') in conversation order. User messages may
+   *   carry `images: [{ mediaType, data }]` (base64) if supportsVision() is true.
+   *   Messages flagged `cache` end a stable prefix that providers with prompt
+   *   caching should mark for caching (see buildMessages()); others can ignore it.
+   * @param {Object} config - Model-specific configuration
+   * @param {Object} [options]
+   * @param {Function} [options.onToken] - If provided, the response is streamed
+   *   and this is called with each text fragment as it arrives
+   * @param {AbortSignal} [options.signal] - Cancels the request; pass it to fetch
+   * @param {Function} [options.onUsage] - Call with { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens }
+   *   if the API reports token usage (see reportUsage()); otherwise usage is estimated
+   * @param {Array<{name: string, description: string, parameters: Object}>} [options.tools] - Tools
+   *   the model may call; only passed if supportsTools() is true
+   * @param {Function} [options.onToolCalls] - Call with [{ id, name, arguments }] if the
+   *   model asks for tools (see reportToolCalls()); the returned text is whatever came with them
+   * @param {Function} [options.onReasoning] - Call with reasoning text (see reportReasoning());
+   *   resolve with the answer only
+   * @param {Object} [options.jsonSchema] - Schema the response must match; only passed if
+   *   supportsJSONMode() is true. Resolve with the JSON text.
+   * @param {Object} [options.generation] - Per-call generation parameters (e.g. { temperature: 0 });
+   *   merge them with the config through getGenerationParams()
+   * @returns {Promise<string>} The model's response text
+   * @throws {Error} If the request fails
+   */
+  async chatMessages(messages, config, options = {}) {
+    if (this.chat === BaseModel.prototype.chat) {
+      throw new Error('chatMessages() must be implemented by subclass');
+    }
+
+    const { system, turns } = BaseModel.splitSystemMessages(messages);
+    const lastTurn = turns[turns.length - 1];
+    let userPrompt = lastTurn ? lastTurn.content : '';
+
+    if (turns.length > 1) {
+      const history = turns.slice(0, -1)
+        .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+        .join('\n\n');
+      userPrompt = `--- CONVERSATION HISTORY ---\n${history}\n-----------------------\n\nUser: ${userPrompt}`;
+    }
+
+    const { text, reasoning } = BaseModel.splitThinkTags(await this.chat(system, userPrompt, config));
+    BaseModel.reportReasoning(options, reasoning);
+    if (options.onToken && text) {
+      options.onToken(text);
+    }
+    return text;
+  }
+
+  /**
+   * Shared request layer for provider HTTP calls. Returns the response if
+   * it is OK; otherwise throws a ModelError. Retryable failures (429,
+   * 5xx/529, network errors) are retried with jittered exponential backoff,
+   * waiting at least as long as the server's Retry-After.
+   *
+   * @param {string} url
+   * @param {Object} [init] - fetch() options
+   * @param {Object} [options]
+   * @param {string} [options.serviceName] - Name used in error messages (default: displayName)
+   * @param {number} [options.maxRetries] - Retries after the first attempt (default: BaseModel.MAX_RETRIES)
+   * @returns {Promise<Response>}
+   * @throws {ModelError}
+   */
+  async fetchWithRetry(url, init = {}, options = {}) {
+    const serviceName = options.serviceName || this.displayName;
+    const maxRetries = options.maxRetries ?? BaseModel.MAX_RETRIES;
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+
+      if (init.signal && init.signal.aborted) {
+        throw new ModelError('Request cancelled', { code: ModelError.Codes.ABORTED });
+      }
+
+      try {
+        const response = await fetch(url, init);
+        if (response.ok) {
+          return response;
+        }
+        error = await ModelError.fromResponse(response, serviceName);
+      } catch (fetchError) {
+        if (fetchError.name === 'AbortError') {
+          throw new ModelError('Request cancelled', { code: ModelError.Codes.ABORTED });
+        }
+        error = new ModelError(`Could not connect to ${serviceName}: ${fetchError.message}`, {
+          code: ModelError.Codes.NETWORK,
+          retryable: true
+        });
+      }
+
+      const delay = error.retryable && attempt < maxRetries ? BaseModel.getRetryDelay(attempt, error.retryAfterMs) : null;
+      if (delay === null) {
+        console.error(`${serviceName} API error:`, error);
+        throw error;
+      }
+
+      console.warn(`${serviceName}: ${error.code}, retrying in ${Math.round(delay)}ms (retry ${attempt + 1}/${maxRetries})`);
+      await BaseModel.sleep(delay, init.signal);
+    }
+  }
+
+  /**
+   * Waits for a delay, resolving early (and letting the caller's abort
+   * check throw) if the signal is aborted
+   *
+   * @param {number} ms
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   */
+  static sleep(ms, signal) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Computes how long to wait before a retry: full-jitter exponential
+   * backoff, but never less than the server asked for
+   *
+   * @param {number} attempt - Zero-based attempt that just failed
+   * @param {number|null} retryAfterMs - Server-requested wait, if any
+   * @returns {number|null} Delay in ms, or null if the server's wait is too long to be worth it
+   */
+  static getRetryDelay(attempt, retryAfterMs) {
+    if (retryAfterMs !== null && retryAfterMs > BaseModel.MAX_RETRY_DELAY_MS) {
+      // Better to fail (and let the fallback chain take over) than hang
+      return null;
+    }
+
+    const backoff = Math.min(BaseModel.MAX_RETRY_DELAY_MS, BaseModel.BASE_RETRY_DELAY_MS * 2 ** attempt);
+    const jittered = backoff / 2 + Math.random() * backoff / 2;
+    return Math.max(jittered, retryAfterMs || 0);
+  }
+
+  /**
+   * Reads a Server-Sent Events response body and calls onData with the
+   * payload of every `data:` line. The OpenAI-style `[DONE]` sentinel is skipped.
+   *
+   * @param {Response} response - A fetch Response with a streaming body
+   * @param {Function} onData - Called with each raw data payload string
+   * @returns {Promise<void>}
+   */
+  async readEventStream(response, onData) {
+    await this.readLines(response, (line) => {
+      if (!line.startsWith('data:')) return;
+      const payload = line.slice(5).trim();
+      if (payload && payload !== '[DONE]') {
+        onData(payload);
+      }
+    });
+  }
+
+  /**
+   * Reads a streaming response body line by line
+   *
+   * @param {Response} response - A fetch Response with a streaming body
+   * @param {Function} onLine - Called with each non-empty line
+   * @returns {Promise<void>}
+   */
+  async readLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      // Keep the trailing partial line for the next read
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (trimmed) onLine(trimmed);
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+      onLine(buffer.trim());
+    }
+  }
+
+  /**
+   * Lists the models this provider can currently serve, for filling
+   * config fields marked `dynamicOptions: true`. Providers without a
+   * model listing endpoint return null and the static options are used.
+   *
+   * @param {Object} config - Configuration to query with (may be unsaved)
+   * @returns {Promise<Array<{value: string, label: string}>|null>} Select options
+   * @throws {Error} If the provider can't be reached
+   */
+  async listAvailableModels(config) {
+    return null;
+  }
+
+  /**
+   * Checks that the provider is reachable and correctly configured.
+   * The default implementation lists models (or, if the provider can't,
+   * sends a tiny chat request); providers can override to add detail
+   * such as the model's context size.
+   *
+   * @param {Object} config - Configuration to test (may be unsaved)
+   * @returns {Promise<Object>} {
+   *   reachable: boolean, authOk: boolean|null, modelExists: boolean|null,
+   *   latencyMs: number|null, contextSize: number|null,
+   *   error: string|null, fix: string|null
+   * } - null means "could not be determined"
+   */
+  async testConnection(config) {
+    const result = {
+      reachable: false,
+      authOk: null,
+      modelExists: null,
+      latencyMs: null,
+      contextSize: null,
+      error: null,
+      fix: null
+    };
+    const startTime = Date.now();
+
+    try {
+      const models = await this.listAvailableModels(config);
+      result.latencyMs = Date.now() - startTime;
+      result.reachable = true;
+      result.authOk = true;
+
+      if (models) {
+        result.modelExists = config.modelName ? models.some(m => m.value === config.modelName) : null;
+      } else {
+        // No model listing - a minimal request proves the model answers
+        await this.chat('Reply with the single word OK.', 'ping', config);
+        result.latencyMs = Date.now() - startTime;
+        result.modelExists = true;
+      }
+    } catch (error) {
+      result.latencyMs = Date.now() - startTime;
+      Object.assign(result, this.diagnoseConnectionError(error, config));
+    }
+
+    if (result.modelExists === false) {
+      result.fix = `Model "${config.modelName}" was not found on the server. Pick one from the model list (↻ to refresh) or check the spelling.`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Turns a failed request into a structured diagnosis with a suggested fix.
+   * Subclasses can override to give provider-specific advice.
+   *
+   * @param {Error} error - The error thrown by the request
+   * @param {Object} config - Configuration that was tested
+   * @returns {Object} Partial testConnection() result
+   */
+  diagnoseConnectionError(error, config) {
+    const message = error.message || String(error);
+    const statusMatch = message.match(/\((\d{3})\)/);
+    const status = error.status || (statusMatch ? parseInt(statusMatch[1]) : null);
+    const isLocal = !this.requiresInternet(config);
+    const diagnosis = { error: message, reachable: status !== null };
+
+    if (status === 401) {
+      diagnosis.authOk = false;
+      diagnosis.fix = 'The server rejected the credentials (401). Check that the API key is correct, complete and not revoked.';
+    } else if (status === 403) {
+      diagnosis.authOk = false;
+      diagnosis.fix = isLocal
+        ? 'The server refused the request (403). It may be blocking the extension\'s origin (CORS); allow chrome-extension:// origins in the server settings.'
+        : 'Access denied (403). The key may lack permission for this model or API.';
+    } else if (status === 404) {
+      diagnosis.modelExists = false;
+      diagnosis.fix = 'Not found (404). Check the base URL and that the model name exists on the server.';
+    } else if (status === 429) {
+      diagnosis.authOk = true;
+      diagnosis.fix = 'Rate limited or out of quota (429). Wait a moment, or check your plan and billing.';
+    } else if (status !== null && status >= 500) {
+      diagnosis.fix = `The service returned an error (${status}). It may be overloaded or down; try again shortly.`;
+    } else if (/failed to fetch|networkerror|could not connect|err_connection/i.test(message)) {
+      diagnosis.reachable = false;
+      diagnosis.fix = isLocal
+        ? 'Connection refused. Make sure the local server is running and the base URL and port are correct.'
+        : 'Could not reach the service. Check your internet connection, the base URL, and that the extension has host permission for it.';
+    } else if (/api key is required/i.test(message)) {
+      diagnosis.authOk = false;
+      diagnosis.fix = 'Enter an API key first.';
+    }
+
+    return diagnosis;
   }
 
   /**
@@ -123,9 +861,92 @@ class BaseModel {
   /**
    * Returns whether this model requires internet connection
    *
+   * @param {Object} [config] - Saved configuration, for providers whose answer
+   *   depends on it (e.g. a user-supplied base URL)
    * @returns {boolean} True if internet is required
    */
-  requiresInternet() {
+  requiresInternet(config) {
     return true;
   }
 }
+
+/**
+ * Common generation parameters, offered as config fields by providers that
+ * declare them in getSupportedGenerationParams(). Empty means the API default.
+ */
+BaseModel.GENERATION_FIELDS = [
+  {
+    name: 'temperature',
+    label: 'Temperature',
+    type: 'number',
+    placeholder: 'Default',
+    required: false,
+    min: 0,
+    max: 2,
+    step: 0.1,
+    helpText: 'Randomness of the output: 0 is the most predictable. Leave empty for the provider default.'
+  },
+  {
+    name: 'topP',
+    label: 'Top P',
+    type: 'number',
+    placeholder: 'Default',
+    required: false,
+    min: 0,
+    max: 1,
+    step: 0.05,
+    helpText: 'Only sample from the most likely tokens covering this probability (nucleus sampling)'
+  },
+  {
+    name: 'stop',
+    label: 'Stop Sequences',
+    type: 'text',
+    placeholder: 'e.g. ###, \\n\\n',
+    required: false,
+    helpText: 'Comma-separated; the response ends before the first one generated. Use \\n for a line break.'
+  },
+  {
+    name: 'seed',
+    label: 'Seed',
+    type: 'number',
+    placeholder: 'Random',
+    required: false,
+    step: 1,
+    helpText: 'Makes sampling more repeatable, where the provider supports it'
+  },
+  {
+    name: 'frequencyPenalty',
+    label: 'Frequency Penalty',
+    type: 'number',
+    placeholder: '0',
+    required: false,
+    min: -2,
+    max: 2,
+    step: 0.1,
+    helpText: 'Positive values discourage repeating the same words'
+  },
+  {
+    name: 'presencePenalty',
+    label: 'Presence Penalty',
+    type: 'number',
+    placeholder: '0',
+    required: false,
+    min: -2,
+    max: 2,
+    step: 0.1,
+    helpText: 'Positive values encourage moving on to new topics'
+  }
+];
+
+// Local model names that usually indicate image input (llava, qwen2.5-vl, gemma3, ...),
+// for Ollama and LM Studio which don't report capabilities in their chat APIs
+BaseModel.LOCAL_VISION_MODEL_PATTERN = /llava|vision|vl\b|gemma-?3|pixtral|minicpm-v|moondream|mistral-small-?3\.?[12]/i;
+
+// Default request concurrency (see getMaxConcurrency())
+BaseModel.CLOUD_CONCURRENCY = 4;
+BaseModel.LOCAL_CONCURRENCY = 1;
+
+// Retry policy for fetchWithRetry()
+BaseModel.MAX_RETRIES = 3;
+BaseModel.BASE_RETRY_DELAY_MS = 1000;
+BaseModel.MAX_RETRY_DELAY_MS = 30000;
@@ -24,7 +24,8 @@ class ClaudeModel extends BaseModel {
         label: 'Model',
         type: 'select',
         required: true,
-        defaultValue: 'claude-3-5-sonnet-20241022',
+        defaultValue: 'claude-sonnet-4-5',
+        dynamicOptions: true,
         options: [
           { value: 'claude-opus-4-5', label: 'Claude 4.5 Opus (Most Capable)' },
           { value: 'claude-sonnet-4-5', label: 'Claude 4.5 Sonnet' },
@@ -39,6 +40,17 @@ class ClaudeModel extends BaseModel {
         required: false,
         defaultValue: '4096',
         helpText: 'Maximum tokens in the response (default: 4096)'
+      },
+      {
+        name: 'thinkingBudget',
+        label: 'Thinking Budget',
+        type: 'number',
+        placeholder: 'Off',
+        required: false,
+        min: 1024,
+        max: 32000,
+        step: 1024,
+        helpText: 'Tokens Claude may spend reasoning before it answers (extended thinking, at least 1024; Claude 3.7 Sonnet and Claude 4 models). Leave empty to turn it off.'
       }
     ];
   }
@@ -51,72 +63,491 @@ class ClaudeModel extends BaseModel {
     return true;
   }
 
-  async chat(systemPrompt, userPrompt, config) {
-    const apiKey = config.apiKey;
-    const modelName = config.modelName || 'claude-3-5-sonnet-20241022';
-    const maxTokens = parseInt(config.maxTokens) || 4096;
+  /**
+   * Lists models available to this API key from the Anthropic models endpoint
+   *
+   * @param {Object} config
+   * @returns {Promise<Array<{value: string, label: string}>>}
+   */
+  async listAvailableModels(config) {
+    if (!config.apiKey) {
+      throw new Error('Claude API key is required to list models');
+    }
 
-    if (!apiKey) {
-      throw new Error('Claude API key is required');
+    // Listing is interactive - fail fast and let the user hit refresh
+    const response = await this.fetchWithRetry('https://api.anthropic.com/v1/models?limit=100', {
+      headers: {
+        'x-api-key': config.apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }
+    }, { serviceName: 'Claude', maxRetries: 0 });
+
+    const data = await response.json();
+    return (data.data || []).map(m => ({
+      value: m.id,
+      label: m.display_name ? `${m.display_name} (${m.id})` : m.id
+    }));
+  }
+
+  getDefaultModelLimits(config) {
+    const known = ClaudeModel.findModelLimits(config);
+    const { answerTokens, thinkingBudget } = ClaudeModel.getOutputTokens(config);
+
+    return {
+      contextWindow: known ? known.contextWindow : 200000,
+      maxOutputTokens: answerTokens + thinkingBudget
+    };
+  }
+
+  getMaxBilledOutputTokens(config) {
+    // Thinking is billed as output, whatever share of the window is reserved
+    const { answerTokens, thinkingBudget } = ClaudeModel.getOutputTokens(config);
+    return answerTokens + thinkingBudget;
+  }
+
+  async testConnection(config) {
+    const result = await super.testConnection(config);
+    if (result.modelExists) {
+      result.contextSize = this.getModelLimits(config).contextWindow;
     }
+    return result;
+  }
 
-    const apiUrl = 'https://api.anthropic.com/v1/messages';
+  getPricing(config) {
+    const modelName = config.modelName || 'claude-sonnet-4-5';
+    const known = ClaudeModel.MODEL_PRICING.find(entry => entry.pattern.test(modelName));
+    if (!known) {
+      return null;
+    }
+    return {
+      inputPerMTok: known.inputPerMTok,
+      outputPerMTok: known.outputPerMTok,
+      cacheReadPerMTok: known.inputPerMTok * ClaudeModel.CACHE_READ_PRICE,
+      cacheWritePerMTok: known.inputPerMTok * ClaudeModel.CACHE_WRITE_PRICE
+    };
+  }
 
-    try {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: modelName,
-          max_tokens: maxTokens,
-          system: systemPrompt,
-          messages: [
-            {
-              role: 'user',
-              content: userPrompt
-            }
-          ]
-        })
+  getSupportedGenerationParams() {
+    return ['temperature', 'topP', 'stop'];
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  supportsJSONMode() {
+    return true;
+  }
+
+  supportsVision() {
+    return true;
+  }
+
+  async chatMessages(messages, config, options = {}) {
+    const stream = typeof options.onToken === 'function';
+    const response = await this.sendRequest(messages, config, stream, options);
+
+    if (stream) {
+      let fullText = '';
+      let usage = {};
+      let outputTokens = 0;
+      const toolBlocks = []; // tool_use blocks by content block index
+      const thinkingBlocks = []; // thinking blocks by content block index, to send back with tool results
+
+      // Claude streams typed events; only text deltas carry answer content.
+      // Input tokens arrive in message_start, the output count in message_delta.
+      await this.readEventStream(response, (payload) => {
+        const event = JSON.parse(payload);
+
+        if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+          fullText += event.delta.text;
+          options.onToken(event.delta.text);
+        } else if (event.type === 'content_block_start' && event.content_block && event.content_block.type === 'tool_use') {
+          toolBlocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: '' };
+        } else if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'input_json_delta') {
+          toolBlocks[event.index].json += event.delta.partial_json;
+        } else if (event.type === 'content_block_start' && event.content_block &&
+          (event.content_block.type === 'thinking' || event.content_block.type === 'redacted_thinking')) {
+          thinkingBlocks[event.index] = { ...event.content_block };
+        } else if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'thinking_delta') {
+          thinkingBlocks[event.index].thinking += event.delta.thinking;
+          BaseModel.reportReasoning(options, event.delta.thinking);
+        } else if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'signature_delta') {
+          thinkingBlocks[event.index].signature = event.delta.signature;
+        } else if (event.type === 'message_start' && event.message && event.message.usage) {
+          usage = event.message.usage;
+        } else if (event.type === 'message_delta' && event.usage) {
+          outputTokens = event.usage.output_tokens;
+        } else if (event.type === 'error') {
+          const overloaded = event.error?.type === 'overloaded_error';
+          throw new ModelError(`Claude API stream error: ${event.error?.message || 'unknown error'}`, {
+            code: overloaded ? ModelError.Codes.OVERLOADED : ModelError.Codes.SERVER_ERROR,
+            retryable: true
+          });
+        }
       });
 
-      if (!response.ok) {
-        const errText = await response.text();
-        let errorMessage = `Claude API error (${response.status})`;
-
-        try {
-          const errorData = JSON.parse(errText);
-          if (errorData.error && errorData.error.message) {
-            errorMessage = errorData.error.message;
-          }
-        } catch (e) {
-          errorMessage = errText;
+      ClaudeModel.reportUsage(options, { ...usage, output_tokens: outputTokens });
+      if (options.jsonSchema) {
+        const forced = toolBlocks.find(block => block && block.name === ClaudeModel.JSON_TOOL_NAME);
+        return forced ? forced.json : fullText;
+      }
+      BaseModel.reportToolCalls(options, toolBlocks.filter(Boolean).map(block => ({
+        id: block.id,
+        name: block.name,
+        arguments: BaseModel.parseToolArguments(block.json)
+      })), thinkingBlocks.filter(Boolean));
+      return fullText;
+    }
+
+    const data = await response.json();
+    if (data.usage) {
+      ClaudeModel.reportUsage(options, data.usage);
+    }
+
+    // Claude API returns content as an array of text and tool_use blocks
+    if (data.content && data.content.length > 0) {
+      if (options.jsonSchema) {
+        const forced = data.content.find(block => block.type === 'tool_use' && block.name === ClaudeModel.JSON_TOOL_NAME);
+        if (forced) {
+          return JSON.stringify(forced.input);
         }
+      }
 
-        throw new Error(errorMessage);
+      const thinkingBlocks = data.content.filter(block => block.type === 'thinking' || block.type === 'redacted_thinking');
+      BaseModel.reportReasoning(options, thinkingBlocks.map(block => block.thinking || '').join('\n\n').trim());
+      BaseModel.reportToolCalls(options, data.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })), thinkingBlocks);
+
+      return data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+    }
+
+    throw new Error('Unexpected response format from Claude API');
+  }
+
+  /**
+   * Reports a Messages API usage object. Its input_tokens leave out the
+   * prompt tokens read from or written to the cache, which are added back
+   * so inputTokens counts the whole prompt as for other providers.
+   *
+   * @param {Object} options - chatMessages() options
+   * @param {Object} usage - { input_tokens, output_tokens, cache_read_input_tokens, cache_creation_input_tokens }
+   */
+  static reportUsage(options, usage) {
+    const readTokens = usage.cache_read_input_tokens || 0;
+    const writeTokens = usage.cache_creation_input_tokens || 0;
+    BaseModel.reportUsage(options, (usage.input_tokens || 0) + readTokens + writeTokens, usage.output_tokens, {
+      readTokens,
+      writeTokens
+    });
+  }
+
+  /**
+   * The MODEL_LIMITS entry for the configured model, or undefined if unknown
+   *
+   * @param {Object} config
+   * @returns {Object|undefined}
+   */
+  static findModelLimits(config) {
+    const modelName = config.modelName || 'claude-sonnet-4-5';
+    return ClaudeModel.MODEL_LIMITS.find(entry => entry.pattern.test(modelName));
+  }
+
+  /**
+   * The configured extended thinking budget in tokens, or 0 if thinking is
+   * off or the model doesn't support it (unknown, newer models are assumed to)
+   *
+   * @param {Object} config
+   * @returns {number}
+   */
+  static getThinkingBudget(config) {
+    const known = ClaudeModel.findModelLimits(config);
+    if (known && !known.thinking) {
+      return 0;
+    }
+    const budget = parseInt(config.thinkingBudget) || 0;
+    return budget >= ClaudeModel.MIN_THINKING_BUDGET ? budget : 0;
+  }
+
+  /**
+   * Splits the model's output limit between the answer (Max Tokens) and the
+   * thinking budget. max_tokens covers both and can't exceed the limit, so the
+   * budget shrinks to what the answer leaves, and thinking is dropped if less
+   * than MIN_THINKING_BUDGET remains.
+   *
+   * @param {Object} config
+   * @returns {{answerTokens: number, thinkingBudget: number}}
+   */
+  static getOutputTokens(config) {
+    const known = ClaudeModel.findModelLimits(config);
+    const limit = known ? known.maxOutputTokens : 8192;
+    const answerTokens = Math.min(parseInt(config.maxTokens) || 4096, limit);
+    const thinkingBudget = Math.min(ClaudeModel.getThinkingBudget(config), limit - answerTokens);
+    return {
+      answerTokens,
+      thinkingBudget: thinkingBudget >= ClaudeModel.MIN_THINKING_BUDGET ? thinkingBudget : 0
+    };
+  }
+
+  /**
+   * Maps role-tagged messages to the Messages API format.
+   * The system prompt is a top-level parameter, and consecutive turns
+   * from the same role are merged because the API requires alternation.
+   * Tool calls become tool_use blocks and tool results become
+   * tool_result blocks in the following user turn.
+   *
+   * Prompt caching: the API caches the prompt up to each block marked with
+   * cache_control, and a later request starting with the same blocks reads
+   * it at a tenth of the input price (writing costs a quarter more). Blocks
+   * are marked after stable context (messages flagged `cache`), after a
+   * long system prompt, and at the end of a multi-turn conversation, which
+   * the next tool round or follow-up question re-sends. Prompts shorter
+   * than the model's minimum are not cached and cost nothing extra.
+   *
+   * @param {Array<Object>} messages
+   * @returns {{system: string|Array<Object>, messages: Array<Object>}}
+   */
+  toClaudeMessages(messages) {
+    const { system, turns } = BaseModel.splitSystemMessages(messages);
+    const systemMessages = messages.filter(m => m.role === 'system' && m.content);
+    const claudeMessages = [];
+    const breakpoints = [];
+
+    // Marks the last block of some content, converting a string to a text block
+    const markForCache = (content) => {
+      const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+      const last = blocks[blocks.length - 1];
+      last.cache_control = { type: 'ephemeral' };
+      breakpoints.push(last);
+      return blocks;
+    };
+
+    let systemParam = system;
+    const longSystem = TokenBudget.estimateTokens(system) >= ClaudeModel.MIN_CACHE_TOKENS;
+    if (systemMessages.some(m => m.cache) || longSystem) {
+      systemParam = [];
+      for (const message of systemMessages) {
+        const block = { type: 'text', text: message.content };
+        systemParam.push(block);
+        if (message.cache) markForCache([block]);
+      }
+      if (longSystem && !systemParam[systemParam.length - 1].cache_control) {
+        markForCache(systemParam);
       }
+    }
 
-      const data = await response.json();
+    for (const turn of turns) {
+      const role = turn.role === 'assistant' ? 'assistant' : 'user';
+      let content = ClaudeModel.toContent(turn);
+      if (turn.cache) {
+        content = markForCache(content);
+      }
+      const previous = claudeMessages[claudeMessages.length - 1];
 
-      // Claude API returns content as an array of content blocks
-      if (data.content && data.content.length > 0) {
-        return data.content[0].text;
+      if (previous && previous.role === role) {
+        previous.content = ClaudeModel.mergeContent(previous.content, content);
+      } else {
+        claudeMessages.push({ role, content });
       }
+    }
 
-      throw new Error('Unexpected response format from Claude API');
-    } catch (error) {
-      console.error('Claude API error:', error);
-      if (error.message.includes('API error')) {
-        throw error;
+    const last = claudeMessages[claudeMessages.length - 1];
+    if (claudeMessages.length > 1 && !ClaudeModel.isCacheMarked(last.content)) {
+      last.content = markForCache(last.content);
+    }
+
+    // The API allows MAX_CACHE_BREAKPOINTS; later ones cover more of the prompt
+    for (const block of breakpoints.slice(0, -ClaudeModel.MAX_CACHE_BREAKPOINTS)) {
+      delete block.cache_control;
+    }
+
+    return { system: systemParam, messages: claudeMessages };
+  }
+
+  /**
+   * Checks whether content already ends with a cache breakpoint
+   *
+   * @param {string|Array<Object>} content
+   * @returns {boolean}
+   */
+  static isCacheMarked(content) {
+    return Array.isArray(content) && !!content[content.length - 1].cache_control;
+  }
+
+  /**
+   * Converts one message to Messages API content: a plain string, or
+   * content blocks for images, tool calls and results
+   *
+   * @param {Object} turn
+   * @returns {string|Array<Object>}
+   */
+  static toContent(turn) {
+    if (turn.role === 'tool') {
+      return [{ type: 'tool_result', tool_use_id: turn.toolCallId, content: turn.content, is_error: !!turn.isError }];
+    }
+
+    if (turn.toolCalls) {
+      // With extended thinking, the signed thinking blocks must precede the tool calls they led to
+      const blocks = [...(turn.reasoningBlocks || [])];
+      if (turn.content) {
+        blocks.push({ type: 'text', text: turn.content });
+      }
+      for (const call of turn.toolCalls) {
+        blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments });
       }
-      throw new Error(`Could not connect to Claude API: ${error.message}`);
+      return blocks;
+    }
+
+    if (turn.images && turn.images.length > 0) {
+      const blocks = turn.images.map(image => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mediaType, data: image.data }
+      }));
+      blocks.push({ type: 'text', text: turn.content });
+      return blocks;
+    }
+
+    return turn.content;
+  }
+
+  /**
+   * Joins the content of two same-role turns
+   *
+   * @param {string|Array<Object>} first
+   * @param {string|Array<Object>} second
+   * @returns {string|Array<Object>}
+   */
+  static mergeContent(first, second) {
+    if (typeof first === 'string' && typeof second === 'string') {
+      return `${first}\n\n${second}`;
+    }
+
+    const toBlocks = (content) => typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+    return [...toBlocks(first), ...toBlocks(second)];
+  }
+
+  /**
+   * Sends a Messages API request and returns the raw response
+   *
+   * @param {Array<Object>} messages
+   * @param {Object} config
+   * @param {boolean} stream - Whether to request a server-sent event stream
+   * @param {Object} [options] - chatMessages() options (signal, tools, jsonSchema, generation)
+   * @returns {Promise<Response>}
+   */
+  async sendRequest(messages, config, stream, options = {}) {
+    const apiKey = config.apiKey;
+    const modelName = config.modelName || 'claude-sonnet-4-5';
+    const { answerTokens, thinkingBudget } = ClaudeModel.getOutputTokens(config);
+
+    // Thinking can't be combined with a forced tool (structured output), and a
+    // tool call from another model has no signed thinking block to send back
+    const thinking = thinkingBudget > 0 && !options.jsonSchema &&
+      !messages.some(m => m.toolCalls && !m.reasoningBlocks);
+
+    if (!apiKey) {
+      throw new Error('Claude API key is required');
+    }
+
+    const apiUrl = 'https://api.anthropic.com/v1/messages';
+    const { system, messages: claudeMessages } = this.toClaudeMessages(messages);
+
+    const body = {
+      model: modelName,
+      // The thinking budget comes out of max_tokens, so the answer keeps its share
+      max_tokens: thinking ? answerTokens + thinkingBudget : answerTokens,
+      system: system,
+      messages: claudeMessages,
+      stream
+    };
+    if (thinking) {
+      body.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
     }
+
+    const params = this.getGenerationParams(config, options.generation);
+    // Extended thinking requires the default sampling settings
+    if (!thinking && params.temperature !== undefined) {
+      // Claude's range is 0-1
+      body.temperature = Math.min(params.temperature, 1);
+    } else if (!thinking && params.topP !== undefined) {
+      // Newer models reject temperature and top_p together, so temperature wins
+      body.top_p = params.topP;
+    }
+    if (params.stop) {
+      body.stop_sequences = params.stop;
+    }
+
+    if (options.tools) {
+      body.tools = options.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+    }
+    // Claude has no JSON mode; forcing a tool whose input is the schema has the same effect
+    if (options.jsonSchema) {
+      body.tools = [{
+        name: ClaudeModel.JSON_TOOL_NAME,
+        description: 'Give the response as structured data.',
+        input_schema: options.jsonSchema
+      }];
+      body.tool_choice = { type: 'tool', name: ClaudeModel.JSON_TOOL_NAME };
+    }
+
+    return await this.fetchWithRetry(apiUrl, {
+      method: 'POST',
+      signal: options.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify(body)
+    }, { serviceName: 'Claude' });
   }
 }
 
+/**
+ * Context window and maximum output per model family, first match wins
+ */
+ClaudeModel.MODEL_LIMITS = [
+  { pattern: /^claude-(opus|sonnet|haiku)-4/, contextWindow: 200000, maxOutputTokens: 64000, thinking: true },
+  { pattern: /^claude-3-7-sonnet/, contextWindow: 200000, maxOutputTokens: 64000, thinking: true },
+  { pattern: /^claude-3-5/, contextWindow: 200000, maxOutputTokens: 8192, thinking: false },
+  { pattern: /^claude-3/, contextWindow: 200000, maxOutputTokens: 4096, thinking: false }
+];
+
+/**
+ * List prices in USD per million tokens, first match wins. Used for
+ * usage estimates and spending caps, not billing.
+ */
+ClaudeModel.MODEL_PRICING = [
+  { pattern: /^claude-opus-4-[5-9]/, inputPerMTok: 5, outputPerMTok: 25 },
+  { pattern: /^claude-(opus-4|3-opus)/, inputPerMTok: 15, outputPerMTok: 75 },
+  { pattern: /^claude-(sonnet-4|3-7-sonnet|3-5-sonnet)/, inputPerMTok: 3, outputPerMTok: 15 },
+  { pattern: /^claude-haiku-4/, inputPerMTok: 1, outputPerMTok: 5 },
+  { pattern: /^claude-3-5-haiku/, inputPerMTok: 0.8, outputPerMTok: 4 },
+  { pattern: /^claude-3-haiku/, inputPerMTok: 0.25, outputPerMTok: 1.25 }
+];
+
+// Smallest extended thinking budget the API accepts
+ClaudeModel.MIN_THINKING_BUDGET = 1024;
+
+// Prompt caching: breakpoints allowed per request, the (estimated) system
+// prompt length worth caching on its own, and cache prices relative to input
+ClaudeModel.MAX_CACHE_BREAKPOINTS = 4;
+ClaudeModel.MIN_CACHE_TOKENS = 1024;
+ClaudeModel.CACHE_READ_PRICE = 0.1;
+ClaudeModel.CACHE_WRITE_PRICE = 1.25;
+
+// Tool forced for structured output (see sendRequest())
+ClaudeModel.JSON_TOOL_NAME = 'structured_response';
+
 // Register this class in the global registry
 BaseModel.registerClass('ClaudeModel', ClaudeModel);
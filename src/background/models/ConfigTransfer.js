@@ -0,0 +1,310 @@
+/**
+ * ConfigTransfer - Export and import of the extension's settings as a versioned JSON file
+ *
+ * The file holds the model configurations, the selected model, custom
+ * endpoints, the fallback chain, task models, spending caps and the response
+ * cache setting. Secrets (config fields of type `password`) are left out
+ * unless the user asks to include them, in which case they are encrypted with
+ * a passphrase chosen for the file (PBKDF2 + AES-GCM, as in SecretVault),
+ * independent of the key vault. Imports are previewed before they are applied,
+ * and secrets missing from a file keep their current values.
+ */
+const ConfigTransfer = {
+  FORMAT: 'browser-assistant-settings',
+  VERSION: 1,
+
+  /**
+   * Names of a model's secret config fields
+   * @param {BaseModel} model
+   * @returns {Array<string>}
+   */
+  getSecretFields(model) {
+    return model.getConfigFields().filter(field => field.type === 'password').map(field => field.name);
+  },
+
+  /**
+   * Builds the settings file
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSecrets] - Include API keys, encrypted with the passphrase
+   * @param {string} [options.passphrase]
+   * @returns {Promise<Object>}
+   * @throws {Error} If the passphrase is too short, or the key vault is locked
+   */
+  async exportSettings({ includeSecrets = false, passphrase = '' } = {}) {
+    const secrets = { mode: 'redacted' };
+    let key = null;
+
+    if (includeSecrets) {
+      if (!passphrase || passphrase.length < SecretVault.MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${SecretVault.MIN_PASSPHRASE_LENGTH} characters`);
+      }
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      key = await SecretVault.deriveKey(passphrase, salt, SecretVault.PBKDF2_ITERATIONS);
+      Object.assign(secrets, {
+        mode: 'encrypted',
+        salt: SecretVault.toBase64(salt),
+        iterations: SecretVault.PBKDF2_ITERATIONS
+      });
+    }
+
+    const modelConfigs = {};
+    for (const [modelId, config] of Object.entries(modelRegistry.currentConfig)) {
+      const model = modelRegistry.getModel(modelId);
+      if (!model) continue;
+
+      const secretFields = this.getSecretFields(model);
+      modelConfigs[modelId] = {};
+      for (const [name, value] of Object.entries(config)) {
+        if (!secretFields.includes(name)) {
+          modelConfigs[modelId][name] = value;
+        } else if (key && value) {
+          if (SecretVault.isEncrypted(value)) {
+            throw new Error('Unlock the key vault to export API keys');
+          }
+          modelConfigs[modelId][name] = { exportEncrypted: true, ...(await SecretVault.encryptWith(key, value)) };
+        }
+      }
+    }
+
+    await usageTracker.ensureLoaded();
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      exportedAt: new Date().toISOString(),
+      secrets,
+      settings: {
+        selectedModel: modelRegistry.currentModelId,
+        modelConfigs,
+        customEndpoints: modelRegistry.customEndpoints,
+        fallbackChain: modelRegistry.fallbackChain,
+        taskModels: modelRegistry.taskModels,
+        usageCaps: usageTracker.caps,
+        responseCacheEnabled: responseCache.enabled
+      }
+    };
+  },
+
+  /**
+   * Checks a settings file and decrypts its secrets. Settings missing from
+   * the file come back as null (left unchanged on import). Without a
+   * passphrase, encrypted secrets are skipped and `secretsLocked` is set.
+   * @param {Object} file - Parsed JSON
+   * @param {string} [passphrase] - For files with encrypted secrets
+   * @returns {Promise<{settings: Object, secretsLocked: boolean}>}
+   * @throws {Error} If the file isn't a supported settings file or the passphrase is wrong
+   */
+  async readFile(file, passphrase = '') {
+    const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(file) || file.format !== this.FORMAT || !isObject(file.settings)) {
+      throw new Error('This is not a settings file exported by the extension');
+    }
+    if (!Number.isInteger(file.version) || file.version > this.VERSION) {
+      throw new Error(`Settings file version ${file.version} is not supported. Update the extension and try again.`);
+    }
+
+    const input = file.settings;
+    const secrets = isObject(file.secrets) ? file.secrets : {};
+    let key = null;
+    if (secrets.mode === 'encrypted' && passphrase) {
+      // Bounded so a crafted file can't keep the worker busy deriving a key
+      const iterations = Math.min(Math.max(parseInt(secrets.iterations) || 1, 1), SecretVault.PBKDF2_ITERATIONS);
+      key = await SecretVault.deriveKey(passphrase, SecretVault.fromBase64(secrets.salt), iterations);
+    }
+
+    let secretsLocked = false;
+    const modelConfigs = {};
+    for (const [modelId, config] of Object.entries(isObject(input.modelConfigs) ? input.modelConfigs : {})) {
+      if (!isObject(config)) continue;
+
+      modelConfigs[modelId] = {};
+      for (const [name, value] of Object.entries(config)) {
+        if (isObject(value) && value.exportEncrypted) {
+          if (!key) {
+            secretsLocked = true;
+            continue;
+          }
+          try {
+            modelConfigs[modelId][name] = await SecretVault.decryptWith(key, value);
+          } catch (error) {
+            throw new Error('Wrong passphrase for this settings file');
+          }
+        } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+          modelConfigs[modelId][name] = String(value);
+        }
+      }
+    }
+
+    const taskModels = isObject(input.taskModels)
+      ? Object.fromEntries(Object.entries(input.taskModels).filter(([, a]) => isObject(a) && typeof a.modelId === 'string'))
+      : null;
+
+    const customEndpoints = (Array.isArray(input.customEndpoints) ? input.customEndpoints : [])
+      .filter(e => isObject(e) && /^custom-[a-z0-9]+$/.test(e.id) && typeof e.name === 'string' && e.name.trim())
+      .map(e => ({ id: e.id, name: e.name.trim() }));
+
+    return {
+      secretsLocked,
+      settings: {
+        selectedModel: typeof input.selectedModel === 'string' ? input.selectedModel : null,
+        modelConfigs,
+        customEndpoints,
+        fallbackChain: Array.isArray(input.fallbackChain) ? input.fallbackChain.filter(id => typeof id === 'string') : null,
+        taskModels,
+        usageCaps: isObject(input.usageCaps) ? input.usageCaps : null,
+        responseCacheEnabled: typeof input.responseCacheEnabled === 'boolean' ? input.responseCacheEnabled : null
+      }
+    };
+  },
+
+  /**
+   * Finds a model by ID, including endpoints that only exist in the file
+   * @param {string} modelId
+   * @param {Array<{id: string, name: string}>} customEndpoints - From the file
+   * @returns {BaseModel|null}
+   */
+  resolveModel(modelId, customEndpoints) {
+    const model = modelRegistry.getModel(modelId);
+    if (model) {
+      return model;
+    }
+    const endpoint = customEndpoints.find(e => e.id === modelId);
+    return endpoint ? new OpenAICompatibleModel(endpoint.id, endpoint.name) : null;
+  },
+
+  /**
+   * The configuration a model will have after import: the file's values,
+   * with the current secrets kept where the file has none
+   * @param {BaseModel} model
+   * @param {Object} imported
+   * @returns {Object}
+   */
+  mergeConfig(model, imported) {
+    const current = modelRegistry.currentConfig[model.id] || {};
+    const merged = { ...imported };
+    for (const name of this.getSecretFields(model)) {
+      if (!merged[name] && current[name]) {
+        merged[name] = current[name];
+      }
+    }
+    return merged;
+  },
+
+  /**
+   * Describes what importing a settings file would change, validating each
+   * model configuration with its provider's validateConfig()
+   * @param {Object} file - Parsed JSON
+   * @param {string} [passphrase]
+   * @returns {Promise<{models: Array<Object>, settings: Array<string>, secretsLocked: boolean}>} models are
+   *   { id, displayName, status: 'new'|'changed'|'unchanged'|'unknown', changes: [labels], errors: [messages] }
+   */
+  async preview(file, passphrase = '') {
+    const { settings, secretsLocked } = await this.readFile(file, passphrase);
+    const nameOf = (modelId) => {
+      const model = this.resolveModel(modelId, settings.customEndpoints);
+      return model ? model.displayName : modelId;
+    };
+
+    const models = [];
+    for (const [modelId, imported] of Object.entries(settings.modelConfigs)) {
+      const model = this.resolveModel(modelId, settings.customEndpoints);
+      if (!model) {
+        models.push({ id: modelId, displayName: modelId, status: 'unknown', changes: [], errors: [] });
+        continue;
+      }
+
+      const current = modelRegistry.currentConfig[modelId];
+      const merged = this.mergeConfig(model, imported);
+      const changes = model.getConfigFields()
+        .filter(field => (merged[field.name] || '') !== ((current || {})[field.name] || ''))
+        .map(field => field.label);
+
+      models.push({
+        id: modelId,
+        displayName: model.displayName,
+        status: !current ? 'new' : changes.length > 0 ? 'changed' : 'unchanged',
+        changes,
+        errors: Object.values(model.validateConfig(merged).errors)
+      });
+    }
+
+    const changes = [];
+    if (settings.selectedModel && settings.selectedModel !== modelRegistry.currentModelId) {
+      changes.push(`Selected model: ${nameOf(settings.selectedModel)}`);
+    }
+    const newEndpoints = settings.customEndpoints.filter(e => !modelRegistry.isCustomEndpoint(e.id));
+    if (newEndpoints.length > 0) {
+      changes.push(`New endpoints: ${newEndpoints.map(e => e.name).join(', ')}`);
+    }
+    if (settings.fallbackChain && JSON.stringify(settings.fallbackChain) !== JSON.stringify(modelRegistry.fallbackChain)) {
+      changes.push(`Fallback chain: ${settings.fallbackChain.map(nameOf).join(' → ') || '(none)'}`);
+    }
+    if (settings.taskModels && JSON.stringify(settings.taskModels) !== JSON.stringify(modelRegistry.taskModels)) {
+      const assigned = Object.entries(settings.taskModels).map(([task, a]) => `${task} → ${nameOf(a.modelId)}`);
+      changes.push(`Task models: ${assigned.join(', ') || '(none)'}`);
+    }
+    await usageTracker.ensureLoaded();
+    if (settings.usageCaps && JSON.stringify(settings.usageCaps) !== JSON.stringify(usageTracker.caps)) {
+      changes.push(`Spending caps for ${Object.keys(settings.usageCaps).map(nameOf).join(', ')}`);
+    }
+    if (settings.responseCacheEnabled !== null && settings.responseCacheEnabled !== responseCache.enabled) {
+      changes.push(`Response cache: ${settings.responseCacheEnabled ? 'on' : 'off'}`);
+    }
+
+    return { models, settings: changes, secretsLocked };
+  },
+
+  /**
+   * Applies a settings file. Models the extension doesn't know are skipped;
+   * configurations that fail validation are imported anyway so the user
+   * can complete them (e.g. enter a redacted API key).
+   * @param {Object} file - Parsed JSON
+   * @param {string} [passphrase]
+   * @returns {Promise<void>}
+   * @throws {Error} If the file can't be read, or it has secrets and the key vault is locked
+   */
+  async apply(file, passphrase = '') {
+    const { settings } = await this.readFile(file, passphrase);
+
+    // With the vault on, new secrets can only be saved encrypted
+    const hasSecrets = Object.entries(settings.modelConfigs).some(([modelId, config]) => {
+      const model = this.resolveModel(modelId, settings.customEndpoints);
+      return model && this.getSecretFields(model).some(name => config[name]);
+    });
+    if (hasSecrets && secretVault.enabled && !(await secretVault.isUnlocked())) {
+      throw new Error('Unlock the key vault before importing API keys');
+    }
+
+    if (settings.customEndpoints.length > 0) {
+      await modelRegistry.restoreCustomEndpoints(settings.customEndpoints);
+    }
+
+    for (const [modelId, imported] of Object.entries(settings.modelConfigs)) {
+      const model = modelRegistry.getModel(modelId);
+      if (model) {
+        modelRegistry.setConfig(modelId, this.mergeConfig(model, imported));
+      }
+    }
+    await modelRegistry.saveConfigsToStorage();
+
+    if (settings.fallbackChain) {
+      await modelRegistry.setFallbackChain(settings.fallbackChain);
+    }
+    if (settings.taskModels) {
+      await modelRegistry.setTaskModels(settings.taskModels);
+    }
+    if (settings.selectedModel && modelRegistry.setCurrentModel(settings.selectedModel)) {
+      await modelRegistry.saveCurrentModelToStorage();
+    }
+    if (settings.usageCaps) {
+      for (const [modelId, caps] of Object.entries(settings.usageCaps)) {
+        await usageTracker.setCaps(modelId, caps);
+      }
+    }
+    if (settings.responseCacheEnabled !== null) {
+      await responseCache.setEnabled(settings.responseCacheEnabled);
+    }
+
+    console.log(`Imported settings for ${Object.keys(settings.modelConfigs).length} models`);
+  }
+};
@@ -0,0 +1,137 @@
+/**
+ * JSONSchema - Lenient JSON extraction and a small JSON Schema validator
+ *
+ * Used by ModelRegistry.chatJSON() to check structured model output.
+ * Supports the subset of JSON Schema the extension's prompts use: type,
+ * enum, properties, required, additionalProperties, items, minimum/maximum,
+ * minLength/maxLength and minItems/maxItems. Other keywords are ignored.
+ */
+const JSONSchema = {
+  /**
+   * Extracts a JSON value from model output. Tolerates code fences, prose
+   * around the value and trailing commas.
+   * @param {string} text
+   * @returns {*} The parsed value
+   * @throws {Error} If no JSON value can be found
+   */
+  parse(text) {
+    const trimmed = String(text || '').replace(/```(?:json)?/gi, '').trim();
+
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      // Fall through to extracting the value from surrounding text
+    }
+
+    const start = trimmed.search(/[{[]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start === -1 || end <= start) {
+      throw new Error('Response does not contain a JSON object');
+    }
+
+    const candidate = trimmed.substring(start, end + 1);
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      try {
+        return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+      } catch (e2) {
+        throw new Error(`Response is not valid JSON: ${e.message}`);
+      }
+    }
+  },
+
+  /**
+   * Checks a value against a schema
+   * @param {*} value
+   * @param {Object} schema
+   * @param {string} [path='$'] - Location used in error messages
+   * @returns {Array<string>} Errors, empty if the value is valid
+   */
+  validate(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.matchesType(value, type))) {
+        return [`${path} should be ${types.join(' or ')}, got ${this.typeOf(value)}`];
+      }
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (typeof schema.minimum === 'number' && value < schema.minimum) {
+        errors.push(`${path} should be at least ${schema.minimum}`);
+      }
+      if (typeof schema.maximum === 'number' && value > schema.maximum) {
+        errors.push(`${path} should be at most ${schema.maximum}`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+        errors.push(`${path} should have at least ${schema.minLength} characters`);
+      }
+      if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+        errors.push(`${path} should have at most ${schema.maxLength} characters`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+        errors.push(`${path} should have at least ${schema.minItems} items`);
+      }
+      if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+        errors.push(`${path} should have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => errors.push(...this.validate(item, schema.items, `${path}[${i}]`)));
+      }
+    }
+
+    if (this.typeOf(value) === 'object') {
+      const properties = schema.properties || {};
+      for (const name of schema.required || []) {
+        if (!(name in value)) {
+          errors.push(`${path}.${name} is required`);
+        }
+      }
+      for (const [name, propertyValue] of Object.entries(value)) {
+        if (properties[name]) {
+          errors.push(...this.validate(propertyValue, properties[name], `${path}.${name}`));
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${name} is not allowed`);
+        }
+      }
+    }
+
+    return errors;
+  },
+
+  /**
+   * @param {*} value
+   * @param {string} type - JSON Schema type name
+   * @returns {boolean}
+   */
+  matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && isFinite(value);
+    return this.typeOf(value) === type;
+  },
+
+  /**
+   * JSON Schema type name of a value
+   * @param {*} value
+   * @returns {string}
+   */
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+};
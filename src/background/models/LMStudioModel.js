@@ -2,9 +2,10 @@
  * LMStudioModel - Model provider for local LM Studio instance
  *
  * Connects to a locally running LM Studio server (default: http://localhost:1234)
- * Supports any model loaded in LM Studio via the OpenAI-compatible API.
+ * Supports any model loaded in LM Studio via the OpenAI-compatible API,
+ * using the request logic inherited from OpenAICompatibleModel.
  */
-class LMStudioModel extends BaseModel {
+class LMStudioModel extends OpenAICompatibleModel {
   constructor() {
     super('lmstudio', 'LM Studio (Local)');
   }
@@ -26,7 +27,8 @@ class LMStudioModel extends BaseModel {
         placeholder: 'llama-3.1-8b-instruct-no-robots-mlx',
         required: true,
         defaultValue: 'llama-3.1-8b-instruct-no-robots-mlx',
-        helpText: 'The exact model name as shown in LM Studio'
+        dynamicOptions: true,
+        helpText: 'The exact model name as shown in LM Studio (suggestions list your downloaded models)'
       }
     ];
   }
@@ -39,44 +41,60 @@ class LMStudioModel extends BaseModel {
     return false;
   }
 
-  async chat(systemPrompt, userPrompt, config) {
-    const baseUrl = config.baseUrl || 'http://localhost:1234';
-    const modelName = config.modelName || 'llama-3.1-8b-instruct-no-robots-mlx';
-    const apiUrl = `${baseUrl}/v1/chat/completions`;
+  supportsJSONMode() {
+    return true;
+  }
 
-    const messages = [
-      {
-        role: 'system',
-        content: systemPrompt
-      },
-      {
-        role: 'user',
-        content: userPrompt
-      }
-    ];
+  supportsVision(config) {
+    return BaseModel.LOCAL_VISION_MODEL_PATTERN.test(this.getModelName(config));
+  }
 
-    try {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          model: modelName,
-          messages: messages,
-          stream: false
-        })
-      });
+  /**
+   * Adds context size and load state from LM Studio's native REST API
+   * (/api/v0/models), which the OpenAI-compatible endpoint doesn't expose
+   */
+  async testConnection(config) {
+    const result = await super.testConnection(config);
+    if (!result.reachable || !result.modelExists) {
+      return result;
+    }
 
-      if (!response.ok) {
-        const errText = await response.text();
-        throw new Error(`LM Studio API error (${response.status}): ${errText}`);
+    try {
+      const baseUrl = (config.baseUrl || 'http://localhost:1234').replace(/\/+$/, '');
+      const response = await fetch(`${baseUrl}/api/v0/models/${encodeURIComponent(this.getModelName(config))}`);
+      if (response.ok) {
+        const info = await response.json();
+        result.contextSize = info.loaded_context_length || info.max_context_length || null;
+        if (info.state && info.state !== 'loaded') {
+          result.fix = 'The model is downloaded but not loaded; LM Studio will load it on the first request, which can take a while.';
+        }
       }
-
-      const data = await response.json();
-      return data.choices[0].message.content;
     } catch (error) {
-      console.error('LM Studio API error:', error);
-      throw new Error(`Could not connect to LM Studio: ${error.message}`);
+      // Older LM Studio versions don't have the v0 API - context size stays unknown
     }
+
+    return result;
+  }
+
+  getDefaultModelLimits(config) {
+    // LM Studio loads models with a 4K context unless changed in its load settings
+    return { contextWindow: 4096, maxOutputTokens: 1024 };
+  }
+
+  getServiceName() {
+    return 'LM Studio';
+  }
+
+  getBaseUrl(config) {
+    return `${(config.baseUrl || 'http://localhost:1234').replace(/\/+$/, '')}/v1`;
+  }
+
+  getHeaders(config) {
+    return { 'Content-Type': 'application/json' };
+  }
+
+  getModelName(config) {
+    return config.modelName || 'llama-3.1-8b-instruct-no-robots-mlx';
   }
 }
 
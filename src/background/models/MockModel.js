@@ -0,0 +1,154 @@
+/**
+ * MockModel - Scripted model provider for demos and offline testing
+ *
+ * Answers from a script of rules instead of a server: each rule has a
+ * regular expression matched against the last message (the user's request,
+ * or a tool result) and optionally one matched against the system prompt,
+ * which identifies the component asking (intent parsing, planning, ...).
+ * The first matching rule's response is returned, and can ask for tool
+ * calls. A request no rule matches fails with a REPLAY_MISS error rather
+ * than getting a made-up answer.
+ */
+class MockModel extends BaseModel {
+  constructor() {
+    super('mock', 'Mock (Offline Testing)');
+  }
+
+  getModelSpecificConfigFields() {
+    return [
+      {
+        name: 'script',
+        label: 'Script',
+        type: 'textarea',
+        placeholder: '[{ "match": "summar", "response": "A short summary." }]',
+        required: true,
+        defaultValue: JSON.stringify([{ match: '.*', response: 'This is a scripted response from the mock model.' }], null, 2),
+        helpText: 'JSON array of rules, first match wins: { "match": regex for the last message, "system": regex for the system prompt (optional), "flags": "i" (optional), "response": text, "toolCalls": [{ "name", "arguments" }] (optional) }'
+      }
+    ];
+  }
+
+  getDescription() {
+    return 'Answers from a script of canned responses matched by regular expression. For demos and testing without a network.';
+  }
+
+  requiresInternet() {
+    return false;
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  supportsVision() {
+    return true;
+  }
+
+  getDefaultModelLimits(config) {
+    return { contextWindow: 128000, maxOutputTokens: 4096 };
+  }
+
+  /**
+   * Parses the script into rules with compiled regular expressions
+   *
+   * @param {Object} config
+   * @returns {Array<{match: RegExp, system: RegExp|null, response: string, toolCalls: Array|null}>}
+   * @throws {Error} If the script isn't a JSON array of valid rules
+   */
+  static parseScript(config) {
+    let rules;
+    try {
+      rules = JSON.parse(config.script || '[]');
+    } catch (error) {
+      throw new Error(`Script is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(rules)) {
+      throw new Error('Script must be a JSON array of rules');
+    }
+
+    return rules.map((rule, index) => {
+      if (!rule || typeof rule.match !== 'string' || typeof rule.response !== 'string') {
+        throw new Error(`Rule ${index + 1} needs "match" and "response" strings`);
+      }
+      try {
+        return {
+          match: new RegExp(rule.match, rule.flags || ''),
+          system: rule.system ? new RegExp(rule.system, rule.flags || '') : null,
+          response: rule.response,
+          toolCalls: Array.isArray(rule.toolCalls) ? rule.toolCalls : null
+        };
+      } catch (error) {
+        throw new Error(`Rule ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  validateConfig(config) {
+    const result = super.validateConfig(config);
+    if (!result.errors.script) {
+      try {
+        MockModel.parseScript(config);
+      } catch (error) {
+        result.errors.script = error.message;
+        result.valid = false;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Checks the script instead of a connection
+   */
+  async testConnection(config) {
+    const result = {
+      reachable: true,
+      authOk: null,
+      modelExists: null,
+      latencyMs: 0,
+      contextSize: null,
+      error: null,
+      fix: null
+    };
+
+    try {
+      const rules = MockModel.parseScript(config);
+      result.fix = `The script has ${rules.length} rule${rules.length === 1 ? '' : 's'}.`;
+    } catch (error) {
+      result.error = error.message;
+      result.fix = 'Fix the script and test again.';
+    }
+    return result;
+  }
+
+  async chatMessages(messages, config, options = {}) {
+    const { system } = BaseModel.splitSystemMessages(messages);
+    const lastMessage = messages[messages.length - 1];
+    const lastText = lastMessage && lastMessage.role !== 'system' ? lastMessage.content : '';
+
+    const rule = MockModel.parseScript(config).find(r =>
+      r.match.test(lastText) && (!r.system || r.system.test(system))
+    );
+    if (!rule) {
+      throw new ModelError(`Mock: no script rule matches "${lastText.slice(0, 200)}"`, {
+        code: ModelError.Codes.REPLAY_MISS
+      });
+    }
+
+    if (typeof options.onToken === 'function') {
+      for (const token of rule.response.match(/\s*\S+\s*/g) || []) {
+        options.onToken(token);
+      }
+    }
+    if (options.tools && rule.toolCalls) {
+      BaseModel.reportToolCalls(options, rule.toolCalls.map((call, index) => ({
+        id: `mock_call_${index + 1}`,
+        name: call.name,
+        arguments: call.arguments || {}
+      })));
+    }
+    return rule.response;
+  }
+}
+
+// Register this class in the global registry
+BaseModel.registerClass('MockModel', MockModel);
@@ -0,0 +1,184 @@
+/**
+ * ModelError - Typed error thrown by model providers
+ *
+ * Carries a stable `code` the UI can map to a helpful message, the HTTP
+ * status (if any), and whether the request is worth retrying. Created by
+ * BaseModel.fetchWithRetry(); providers can also throw it directly.
+ */
+class ModelError extends Error {
+  /**
+   * @param {string} message - Human-readable message (kept in the "Service API error (status): detail" form)
+   * @param {Object} [details]
+   * @param {string} [details.code] - One of ModelError.Codes
+   * @param {number|null} [details.status] - HTTP status code
+   * @param {boolean} [details.retryable] - Whether retrying the same request may succeed
+   * @param {number|null} [details.retryAfterMs] - Server-requested wait before retrying
+   */
+  constructor(message, { code = ModelError.Codes.UNKNOWN, status = null, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ModelError';
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /**
+   * Builds a ModelError from a non-OK HTTP response
+   *
+   * @param {Response} response
+   * @param {string} serviceName - Name used in the message
+   * @returns {Promise<ModelError>}
+   */
+  static async fromResponse(response, serviceName) {
+    const status = response.status;
+    const detail = await ModelError.readErrorDetail(response);
+    const message = `${serviceName} API error (${status}): ${detail}`;
+    const Codes = ModelError.Codes;
+
+    let code = Codes.UNKNOWN;
+    let retryable = false;
+
+    if (status === 400 || status === 413 || status === 422) {
+      code = /context|too long|too many tokens|maximum.*tokens/i.test(detail) ? Codes.CONTEXT_TOO_LONG : Codes.BAD_REQUEST;
+    } else if (status === 401) {
+      code = Codes.AUTH;
+    } else if (status === 403) {
+      code = Codes.FORBIDDEN;
+    } else if (status === 404) {
+      code = Codes.NOT_FOUND;
+    } else if (status === 408) {
+      code = Codes.TIMEOUT;
+      retryable = true;
+    } else if (status === 429) {
+      // Running out of credit also returns 429 but won't clear by waiting
+      if (/quota|billing|credit/i.test(detail)) {
+        code = Codes.QUOTA_EXCEEDED;
+      } else {
+        code = Codes.RATE_LIMITED;
+        retryable = true;
+      }
+    } else if (status === 503 || status === 529) {
+      code = Codes.OVERLOADED;
+      retryable = true;
+    } else if (status >= 500) {
+      code = Codes.SERVER_ERROR;
+      retryable = true;
+    }
+
+    return new ModelError(message, {
+      code,
+      status,
+      retryable,
+      retryAfterMs: ModelError.parseRetryAfter(response.headers, status)
+    });
+  }
+
+  /**
+   * Extracts the most useful error text from a response body.
+   * Understands `{ error: { message } }` (Anthropic, OpenAI) and
+   * `{ error: "..." }` (Ollama); otherwise returns the raw text.
+   *
+   * @param {Response} response
+   * @returns {Promise<string>}
+   */
+  static async readErrorDetail(response) {
+    const text = await response.text().catch(() => '');
+
+    try {
+      const data = JSON.parse(text);
+      if (data.error && typeof data.error.message === 'string') {
+        return data.error.message;
+      }
+      if (typeof data.error === 'string') {
+        return data.error;
+      }
+    } catch (e) {
+      // Not JSON - use the raw body
+    }
+
+    return text || response.statusText || 'No details';
+  }
+
+  /**
+   * Reads how long the server asked us to wait, from the standard
+   * Retry-After header or, for rate limit (429) responses, provider
+   * rate-limit reset headers. Those come with every response, so for
+   * other errors they say nothing about when to retry.
+   *
+   * @param {Headers} headers
+   * @param {number} [status] - HTTP status of the response
+   * @returns {number|null} Milliseconds to wait, or null if not specified
+   */
+  static parseRetryAfter(headers, status = null) {
+    if (!headers) return null;
+
+    // OpenAI: exact milliseconds
+    const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+    if (!isNaN(retryAfterMs)) {
+      return retryAfterMs;
+    }
+
+    // Standard: delay in seconds or an HTTP date
+    const retryAfter = headers.get('retry-after');
+    if (retryAfter) {
+      const seconds = parseFloat(retryAfter);
+      if (!isNaN(seconds)) {
+        return seconds * 1000;
+      }
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+
+    if (status !== 429) {
+      return null;
+    }
+
+    // Anthropic: RFC 3339 timestamp when the request limit resets
+    const anthropicReset = headers.get('anthropic-ratelimit-requests-reset');
+    if (anthropicReset) {
+      const date = Date.parse(anthropicReset);
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+
+    // OpenAI: duration such as "1s", "250ms" or "6m0s"
+    const openaiReset = headers.get('x-ratelimit-reset-requests');
+    if (openaiReset) {
+      const match = openaiReset.match(/^(?:(\d+)m(?!s))?(?:([\d.]+)s)?(?:(\d+)ms)?$/);
+      if (match && match[0]) {
+        const [, minutes, seconds, millis] = match;
+        return (parseInt(minutes) || 0) * 60000 + (parseFloat(seconds) || 0) * 1000 + (parseInt(millis) || 0);
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Error codes, stable across providers, for the UI to show meaningful messages
+ */
+ModelError.Codes = Object.freeze({
+  AUTH: 'AUTH',                         // 401 - bad or missing API key
+  FORBIDDEN: 'FORBIDDEN',               // 403 - key lacks access, or origin blocked (CORS)
+  NOT_FOUND: 'NOT_FOUND',               // 404 - wrong URL or unknown model
+  BAD_REQUEST: 'BAD_REQUEST',           // 400 - the request itself is invalid
+  CONTEXT_TOO_LONG: 'CONTEXT_TOO_LONG', // Input exceeds the model's context window
+  RATE_LIMITED: 'RATE_LIMITED',         // 429 - slow down (retryable)
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',     // 429 - out of credit (not retryable)
+  OVERLOADED: 'OVERLOADED',             // 503/529 - provider overloaded (retryable)
+  SERVER_ERROR: 'SERVER_ERROR',         // Other 5xx (retryable)
+  TIMEOUT: 'TIMEOUT',                   // 408 (retryable)
+  NETWORK: 'NETWORK',                   // Connection failed (retryable)
+  ABORTED: 'ABORTED',                   // Cancelled by the caller
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',   // Blocked by the user's spending cap (not sent)
+  INVALID_OUTPUT: 'INVALID_OUTPUT',     // Structured output still didn't match its schema after repairs
+  UNSUPPORTED_INPUT: 'UNSUPPORTED_INPUT', // Model can't read the input, e.g. images (not sent)
+  VAULT_LOCKED: 'VAULT_LOCKED',         // API key is encrypted and the key vault is locked (not sent)
+  REPLAY_MISS: 'REPLAY_MISS',           // Replay or mock script has no response for the prompt (not sent)
+  UNKNOWN: 'UNKNOWN'
+});
@@ -0,0 +1,209 @@
+/**
+ * ModelInspector - Opt-in log of model calls for debugging
+ *
+ * When enabled, ModelRegistry logs every attempt at a model call (including
+ * failed attempts before a fallback), answers from the response cache and
+ * replayed responses: the component that asked, its task role, the model,
+ * the full prompt, the raw response, latency, token usage and any error.
+ * Configured API keys and anything shaped like a key or bearer token are
+ * redacted before an entry is stored. The last MAX_ENTRIES calls are kept
+ * in chrome.storage.session, so the log survives the worker restarting but
+ * not the browser closing. Whether it is enabled is kept in
+ * chrome.storage.local (`inspectorEnabled`).
+ */
+class ModelInspector {
+  constructor() {
+    if (ModelInspector.instance) {
+      return ModelInspector.instance;
+    }
+
+    this.enabled = false;
+    this.entries = [];  // Oldest first (see log())
+    this.nextId = 1;
+
+    ModelInspector.instance = this;
+  }
+
+  /**
+   * Loads whether the inspector is enabled and the calls logged this session
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromStorage() {
+    const { inspectorEnabled } = await chrome.storage.local.get('inspectorEnabled');
+    this.enabled = !!inspectorEnabled;
+
+    const { inspectorLog } = await chrome.storage.session.get('inspectorLog');
+    this.entries = inspectorLog || [];
+    this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+  }
+
+  /**
+   * Turns logging on or off. Turning it off also clears the log.
+   *
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async setEnabled(enabled) {
+    this.enabled = !!enabled;
+    await chrome.storage.local.set({ inspectorEnabled: this.enabled });
+    if (!this.enabled) {
+      await this.clear();
+    }
+    console.log(`Model inspector ${this.enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Logs a model call, if the inspector is enabled
+   *
+   * @param {Object} call
+   * @param {string} [call.component] - What made the request, e.g. 'IntentParser'
+   * @param {string} [call.task] - Task role
+   * @param {{id: string, displayName: string}} [call.model] - Model that was called
+   * @param {boolean} [call.isFallback] - The model was tried after the primary failed
+   * @param {string} [call.source] - 'model', 'cache' or 'replay'
+   * @param {Array<Object>} call.messages - Neutral messages sent
+   * @param {Array<Object>} [call.tools] - Tool definitions offered
+   * @param {Object} [call.generation] - Per-call generation parameters
+   * @param {string} [call.response] - Raw response text
+   * @param {string} [call.reasoning] - Reasoning text, kept out of the response
+   * @param {Array<Object>} [call.toolCalls] - Tool calls the model asked for
+   * @param {number} [call.latencyMs]
+   * @param {Object} [call.usage] - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, estimated }
+   * @param {Error} [call.error]
+   */
+  log(call) {
+    if (!this.enabled) return;
+
+    const entry = {
+      id: this.nextId++,
+      time: new Date().toISOString(),
+      component: call.component || 'Unknown',
+      task: call.task || null,
+      model: call.model ? { id: call.model.id, displayName: call.model.displayName } : null,
+      isFallback: !!call.isFallback,
+      source: call.source || 'model',
+      messages: call.messages.map(m => ({
+        role: m.role,
+        content: this.redact(m.content),
+        ...(m.images && m.images.length > 0 ? { images: m.images.length } : {}),
+        ...(m.toolCalls ? { toolCalls: m.toolCalls.map(c => ({ name: c.name, arguments: c.arguments })) } : {}),
+        ...(m.role === 'tool' ? { name: m.name } : {})
+      })),
+      tools: (call.tools || []).map(tool => tool.name),
+      generation: call.generation && Object.keys(call.generation).length > 0 ? call.generation : null,
+      response: call.response === undefined ? null : this.redact(call.response),
+      reasoning: call.reasoning ? this.redact(call.reasoning) : null,
+      toolCalls: call.toolCalls && call.toolCalls.length > 0
+        ? call.toolCalls.map(c => ({ name: c.name, arguments: c.arguments }))
+        : null,
+      latencyMs: call.latencyMs ?? null,
+      usage: call.usage || null,
+      error: call.error ? { message: this.redact(call.error.message), code: call.error.code || 'UNKNOWN' } : null
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > ModelInspector.MAX_ENTRIES) {
+      this.entries.splice(0, this.entries.length - ModelInspector.MAX_ENTRIES);
+    }
+    this.save();
+  }
+
+  /**
+   * Replaces secrets in text: the values of every configured password field
+   * (API keys), then anything that looks like a key or token
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  redact(text) {
+    let redacted = String(text ?? '');
+
+    for (const secret of this.getConfiguredSecrets()) {
+      redacted = redacted.split(secret).join(ModelInspector.REDACTED);
+    }
+    for (const [pattern, replacement] of ModelInspector.SECRET_PATTERNS) {
+      redacted = redacted.replace(pattern, replacement);
+    }
+
+    if (redacted.length > ModelInspector.MAX_TEXT_CHARS) {
+      const omitted = redacted.length - ModelInspector.MAX_TEXT_CHARS;
+      redacted = `${redacted.slice(0, ModelInspector.MAX_TEXT_CHARS)}\n[… ${omitted} more characters not logged]`;
+    }
+    return redacted;
+  }
+
+  /**
+   * Values of the password fields in every model's configuration
+   *
+   * @returns {Array<string>}
+   */
+  getConfiguredSecrets() {
+    const secrets = [];
+    for (const [modelId, config] of Object.entries(modelRegistry.currentConfig)) {
+      const model = modelRegistry.getModel(modelId);
+      if (!model) continue;
+
+      for (const name of ConfigTransfer.getSecretFields(model)) {
+        // Short values would redact ordinary words
+        if (typeof config[name] === 'string' && config[name].length >= 8) {
+          secrets.push(config[name]);
+        }
+      }
+    }
+    return secrets;
+  }
+
+  /**
+   * Gets the log, newest first
+   *
+   * @returns {Array<Object>}
+   */
+  getEntries() {
+    return [...this.entries].reverse();
+  }
+
+  /**
+   * Deletes every logged call
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries = [];
+    await chrome.storage.session.remove('inspectorLog');
+  }
+
+  /**
+   * Writes the log to session storage. If it doesn't fit, the oldest half
+   * is dropped until it does.
+   *
+   * @returns {Promise<void>}
+   */
+  async save() {
+    while (this.entries.length > 0) {
+      try {
+        await chrome.storage.session.set({ inspectorLog: this.entries });
+        return;
+      } catch (error) {
+        console.warn('Model inspector log too large for session storage, dropping older calls:', error);
+        this.entries.splice(0, Math.ceil(this.entries.length / 2));
+      }
+    }
+  }
+}
+
+// Calls kept in the log
+ModelInspector.MAX_ENTRIES = 50;
+// Longer prompts and responses are cut, so the log fits in session storage
+ModelInspector.MAX_TEXT_CHARS = 100000;
+ModelInspector.REDACTED = '[REDACTED]';
+// Provider API keys, authorization headers and key-value pairs naming a key: [pattern, replacement]
+ModelInspector.SECRET_PATTERNS = [
+  [/\bsk-[A-Za-z0-9_-]{16,}/g, ModelInspector.REDACTED],
+  [/\bAIza[0-9A-Za-z_-]{35}\b/g, ModelInspector.REDACTED],
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]{16,}/gi, `$1 ${ModelInspector.REDACTED}`],
+  [/\b(x-api-key|api[_-]?key|authorization)(["']?\s*[:=]\s*["']?)[^\s"',}]{8,}/gi, `$1$2${ModelInspector.REDACTED}`]
+];
+
+// Create singleton instance
+const modelInspector = new ModelInspector();
@@ -0,0 +1,230 @@
+/**
+ * ModelRecorder - Records model responses and replays them for offline testing
+ *
+ * In record mode, ModelRegistry saves each request's response (with any tool
+ * calls and reasoning) under a SHA-256 hash of its normalized prompt. In
+ * replay mode it answers every request from the recording without calling a
+ * model, and a prompt that wasn't recorded is an error rather than a live
+ * call, so a replayed run never touches the network. The mode and the
+ * recording live in chrome.storage.local (`recorderMode`, `recording`) and
+ * can be exported to and imported from a JSON file.
+ */
+class ModelRecorder {
+  constructor() {
+    if (ModelRecorder.instance) {
+      return ModelRecorder.instance;
+    }
+
+    this.mode = 'off';  // One of ModelRecorder.MODES
+    this.entries = {};  // Prompt hash -> { prompt, response, toolCalls, reasoning, recordedAt }
+
+    ModelRecorder.instance = this;
+  }
+
+  /**
+   * Loads the mode and the recording from Chrome storage
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['recorderMode', 'recording'], (result) => {
+        this.mode = ModelRecorder.MODES.includes(result.recorderMode) ? result.recorderMode : 'off';
+        this.entries = result.recording || {};
+        if (this.mode !== 'off') {
+          console.log(`Model recorder in ${this.mode} mode (${this.count} responses recorded)`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Number of recorded responses
+   * @returns {number}
+   */
+  get count() {
+    return Object.keys(this.entries).length;
+  }
+
+  /**
+   * Switches between 'off', 'record' and 'replay'
+   *
+   * @param {string} mode - One of ModelRecorder.MODES
+   * @returns {Promise<void>}
+   * @throws {Error} If the mode is unknown
+   */
+  async setMode(mode) {
+    if (!ModelRecorder.MODES.includes(mode)) {
+      throw new Error(`Unknown recorder mode: ${mode}`);
+    }
+    this.mode = mode;
+    await chrome.storage.local.set({ recorderMode: mode });
+    console.log(`Model recorder mode: ${mode}`);
+  }
+
+  /**
+   * Reduces a request to what identifies it across runs: roles, message
+   * text with whitespace collapsed, tool calls by name and arguments (not
+   * their provider-generated IDs), the number of images rather than their
+   * pixels, and the names of the tools offered
+   *
+   * @param {Array<Object>} messages - Neutral messages
+   * @param {Array<Object>} [tools] - Tool definitions
+   * @returns {Array}
+   */
+  static normalize(messages, tools = []) {
+    const text = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+    const normalized = messages.map((m) => {
+      const entry = { role: m.role, content: text(m.content) };
+      if (m.images && m.images.length > 0) {
+        entry.images = m.images.length;
+      }
+      if (m.toolCalls) {
+        entry.toolCalls = m.toolCalls.map(call => ({ name: call.name, arguments: call.arguments }));
+      }
+      if (m.role === 'tool') {
+        entry.name = m.name;
+      }
+      return entry;
+    });
+
+    return [normalized, (tools || []).map(tool => tool.name).sort()];
+  }
+
+  /**
+   * Hashes a request's normalized prompt
+   *
+   * @param {Array<Object>} messages
+   * @param {Array<Object>} [tools]
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  static async buildKey(messages, tools = []) {
+    return ResponseCache.buildKey(ModelRecorder.normalize(messages, tools));
+  }
+
+  /**
+   * Saves the response to a request
+   *
+   * @param {Array<Object>} messages
+   * @param {Array<Object>|undefined} tools
+   * @param {{response: string, toolCalls: Array|null, reasoning: string}} result
+   * @returns {Promise<void>}
+   */
+  async record(messages, tools, { response, toolCalls, reasoning }) {
+    const key = await ModelRecorder.buildKey(messages, tools);
+    const lastMessage = messages[messages.length - 1];
+
+    this.entries[key] = {
+      // For people reading the file; not used for matching
+      prompt: String(lastMessage ? lastMessage.content : '').slice(0, ModelRecorder.PROMPT_EXCERPT_CHARS),
+      response,
+      toolCalls: toolCalls && toolCalls.length > 0 ? toolCalls : null,
+      reasoning: reasoning || '',
+      recordedAt: new Date().toISOString()
+    };
+
+    try {
+      await chrome.storage.local.set({ recording: this.entries });
+    } catch (error) {
+      console.error('Could not save recorded response:', error);
+    }
+  }
+
+  /**
+   * Answers a request from the recording, passing the recorded tool calls
+   * and reasoning to the caller's callbacks and streaming the response
+   * word by word if onToken is given
+   *
+   * @param {Array<Object>} messages
+   * @param {Object} [options] - chatMessages() options (tools, onToken, onToolCalls, onReasoning)
+   * @returns {Promise<string>}
+   * @throws {ModelError} Coded REPLAY_MISS if the prompt wasn't recorded
+   */
+  async replay(messages, options = {}) {
+    const key = await ModelRecorder.buildKey(messages, options.tools);
+    const entry = this.entries[key];
+
+    if (!entry) {
+      const lastMessage = messages[messages.length - 1];
+      const excerpt = String(lastMessage ? lastMessage.content : '').slice(0, ModelRecorder.PROMPT_EXCERPT_CHARS);
+      console.error(`No recorded response for prompt ${key}:`, ModelRecorder.normalize(messages, options.tools));
+      throw new ModelError(
+        `Replay: no recorded response for this prompt (${key.slice(0, 12)}): "${excerpt}". Record it again or turn replay off.`,
+        { code: ModelError.Codes.REPLAY_MISS }
+      );
+    }
+
+    BaseModel.reportReasoning(options, entry.reasoning);
+    if (typeof options.onToken === 'function') {
+      for (const token of entry.response.match(/\s*\S+\s*/g) || []) {
+        options.onToken(token);
+      }
+    }
+    BaseModel.reportToolCalls(options, entry.toolCalls || []);
+    return entry.response;
+  }
+
+  /**
+   * Builds the recording file
+   *
+   * @returns {Object}
+   */
+  exportRecording() {
+    return {
+      format: ModelRecorder.FORMAT,
+      version: ModelRecorder.VERSION,
+      exportedAt: new Date().toISOString(),
+      entries: this.entries
+    };
+  }
+
+  /**
+   * Adds the entries of a recording file to the current recording
+   *
+   * @param {Object} file - Parsed JSON from exportRecording()
+   * @returns {Promise<number>} Number of entries imported
+   * @throws {Error} If the file isn't a recording
+   */
+  async importRecording(file) {
+    if (!file || file.format !== ModelRecorder.FORMAT || !file.entries || typeof file.entries !== 'object') {
+      throw new Error('This is not a recording exported by the extension');
+    }
+    if (file.version > ModelRecorder.VERSION) {
+      throw new Error(`Recording version ${file.version} is not supported. Update the extension and try again.`);
+    }
+
+    let imported = 0;
+    for (const [key, entry] of Object.entries(file.entries)) {
+      if (/^[0-9a-f]{64}$/.test(key) && entry && typeof entry.response === 'string') {
+        this.entries[key] = entry;
+        imported++;
+      }
+    }
+
+    await chrome.storage.local.set({ recording: this.entries });
+    console.log(`Imported ${imported} recorded responses`);
+    return imported;
+  }
+
+  /**
+   * Deletes every recorded response
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.entries = {};
+    await chrome.storage.local.remove('recording');
+    console.log('Recording cleared');
+  }
+}
+
+ModelRecorder.MODES = ['off', 'record', 'replay'];
+ModelRecorder.FORMAT = 'browser-assistant-recording';
+ModelRecorder.VERSION = 1;
+// Length of the prompt excerpt stored with each entry and shown on a miss
+ModelRecorder.PROMPT_EXCERPT_CHARS = 200;
+
+// Create singleton instance
+const modelRecorder = new ModelRecorder();
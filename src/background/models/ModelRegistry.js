@@ -13,6 +13,9 @@ class ModelRegistry {
     this.models = new Map();
     this.currentModelId = null;
     this.currentConfig = {};
+    this.customEndpoints = []; // [{ id, name }] user-defined OpenAI-compatible instances
+    this.fallbackChain = []; // Model IDs to try, in order, when the current model fails
+    this.taskModels = {}; // Task role -> { modelId, overrides } (see TASK_ROLES)
     this.initialized = false;
 
     ModelRegistry.instance = this;
@@ -126,6 +129,52 @@ class ModelRegistry {
     return this.currentConfig[this.currentModelId] || {};
   }
 
+  /**
+   * Gets a model's configuration for the configuration panel. Secrets that
+   * are still encrypted (vault locked) are blanked.
+   *
+   * @param {string} modelId
+   * @returns {Object}
+   */
+  getConfigForDisplay(modelId) {
+    const config = { ...(this.currentConfig[modelId] || {}) };
+    for (const [name, value] of Object.entries(config)) {
+      if (SecretVault.isEncrypted(value)) {
+        config[name] = '';
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Fills secrets left blank in a configuration from the panel with the
+   * saved, still-encrypted values: while the vault is locked a blank
+   * secret means "unchanged"
+   *
+   * @param {string} modelId
+   * @param {Object} config - Configuration from the panel
+   * @returns {Object}
+   */
+  withLockedSecrets(modelId, config) {
+    const merged = { ...config };
+    for (const [name, value] of Object.entries(this.currentConfig[modelId] || {})) {
+      if (SecretVault.isEncrypted(value) && !merged[name]) {
+        merged[name] = value;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Whether a configuration has secrets that can't be read until the vault is unlocked
+   *
+   * @param {Object} config
+   * @returns {boolean}
+   */
+  static hasLockedSecrets(config) {
+    return Object.values(config).some(value => SecretVault.isEncrypted(value));
+  }
+
   /**
    * Sets the configuration for a specific model
    *
@@ -133,22 +182,256 @@ class ModelRegistry {
    * @param {Object} config - Configuration object
    */
   setConfig(modelId, config) {
-    this.currentConfig[modelId] = config;
+    this.currentConfig[modelId] = this.withLockedSecrets(modelId, config);
     console.log(`Configuration updated for model: ${modelId}`);
   }
 
+  /**
+   * Sets the configuration for a model and saves it, leaving the previous
+   * configuration in place if it can't be saved
+   *
+   * @param {string} modelId - The model's unique identifier
+   * @param {Object} config - Configuration object
+   * @returns {Promise<void>}
+   * @throws {Error} If the vault is locked and the configuration has a new secret
+   */
+  async saveConfig(modelId, config) {
+    const merged = this.withLockedSecrets(modelId, config);
+    if (secretVault.enabled && !(await secretVault.isUnlocked())) {
+      const model = this.getModel(modelId);
+      const hasNewSecret = model && model.getConfigFields()
+        .some(field => field.type === 'password' && typeof merged[field.name] === 'string' && merged[field.name]);
+      if (hasNewSecret) {
+        throw new Error('Unlock the key vault before saving a new API key');
+      }
+    }
+
+    const hadPrevious = Object.prototype.hasOwnProperty.call(this.currentConfig, modelId);
+    const previous = this.currentConfig[modelId];
+    this.setConfig(modelId, config);
+    try {
+      await this.saveConfigsToStorage();
+    } catch (error) {
+      if (hadPrevious) {
+        this.currentConfig[modelId] = previous;
+      } else {
+        delete this.currentConfig[modelId];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sets the ordered list of models to fall back to when the current model fails
+   *
+   * @param {Array<string>} modelIds - Model IDs in the order they should be tried
+   * @returns {Promise<void>}
+   */
+  async setFallbackChain(modelIds) {
+    this.fallbackChain = modelIds.filter(id => this.models.has(id));
+    await this.saveFallbackChainToStorage();
+    console.log(`Fallback chain set to: ${this.fallbackChain.join(' → ') || '(none)'}`);
+  }
+
+  /**
+   * Sets the model used for each task role. Roles left out use the current model.
+   *
+   * @param {Object} assignments - Task role -> { modelId, overrides }, where overrides
+   *   replace fields of the model's saved configuration (e.g. { modelName })
+   * @returns {Promise<void>}
+   */
+  async setTaskModels(assignments) {
+    this.taskModels = {};
+
+    for (const [task, assignment] of Object.entries(assignments || {})) {
+      if (!ModelRegistry.TASK_ROLES.includes(task) || !assignment) continue;
+
+      const model = this.getModel(assignment.modelId);
+      if (!model) continue;
+
+      // Secrets always come from the model's own configuration
+      const secretFields = model.getConfigFields().filter(field => field.type === 'password').map(field => field.name);
+      const overrides = Object.fromEntries(
+        Object.entries(assignment.overrides || {})
+          .filter(([name, value]) => typeof value === 'string' && value.trim() && !secretFields.includes(name))
+          .map(([name, value]) => [name, value.trim()])
+      );
+      this.taskModels[task] = { modelId: model.id, overrides };
+    }
+
+    await this.saveTaskModelsToStorage();
+    console.log(`Task models set for: ${Object.keys(this.taskModels).join(', ') || '(none)'}`);
+  }
+
+  /**
+   * Saves the task model assignments to Chrome storage
+   *
+   * @returns {Promise<void>}
+   */
+  async saveTaskModelsToStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ taskModels: this.taskModels }, () => {
+        console.log('Saved task models to storage');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Saves the fallback chain to Chrome storage
+   *
+   * @returns {Promise<void>}
+   */
+  async saveFallbackChainToStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ fallbackChain: this.fallbackChain }, () => {
+        console.log('Saved fallback chain to storage');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Checks whether a model ID belongs to a user-defined endpoint instance
+   *
+   * @param {string} modelId
+   * @returns {boolean}
+   */
+  isCustomEndpoint(modelId) {
+    return this.customEndpoints.some(e => e.id === modelId);
+  }
+
+  /**
+   * Creates and registers a new OpenAI-compatible endpoint instance
+   *
+   * @param {string} name - Display name chosen by the user
+   * @returns {Promise<string>} The new instance's model ID
+   */
+  async addCustomEndpoint(name) {
+    const endpoint = {
+      id: `custom-${Date.now().toString(36)}`,
+      name: name.trim()
+    };
+
+    this.customEndpoints.push(endpoint);
+    this.register(new OpenAICompatibleModel(endpoint.id, endpoint.name));
+    await this.saveCustomEndpointsToStorage();
+
+    return endpoint.id;
+  }
+
+  /**
+   * Registers user-defined endpoints under known IDs (e.g. from a settings
+   * import). Endpoints that already exist are renamed.
+   *
+   * @param {Array<{id: string, name: string}>} endpoints
+   * @returns {Promise<void>}
+   */
+  async restoreCustomEndpoints(endpoints) {
+    for (const endpoint of endpoints) {
+      const existing = this.customEndpoints.find(e => e.id === endpoint.id);
+      if (existing) {
+        existing.name = endpoint.name;
+        this.getModel(endpoint.id).displayName = endpoint.name;
+      } else {
+        this.customEndpoints.push({ id: endpoint.id, name: endpoint.name });
+        this.register(new OpenAICompatibleModel(endpoint.id, endpoint.name));
+      }
+    }
+    await this.saveCustomEndpointsToStorage();
+  }
+
+  /**
+   * Unregisters a user-defined endpoint instance and deletes its configuration
+   *
+   * @param {string} modelId
+   * @returns {Promise<boolean>} True if removed, false if not a custom endpoint
+   */
+  async removeCustomEndpoint(modelId) {
+    if (!this.isCustomEndpoint(modelId)) {
+      return false;
+    }
+
+    this.customEndpoints = this.customEndpoints.filter(e => e.id !== modelId);
+    this.models.delete(modelId);
+    delete this.currentConfig[modelId];
+
+    if (this.fallbackChain.includes(modelId)) {
+      this.fallbackChain = this.fallbackChain.filter(id => id !== modelId);
+      await this.saveFallbackChainToStorage();
+    }
+
+    const assignedTasks = Object.keys(this.taskModels).filter(task => this.taskModels[task].modelId === modelId);
+    if (assignedTasks.length > 0) {
+      assignedTasks.forEach(task => delete this.taskModels[task]);
+      await this.saveTaskModelsToStorage();
+    }
+
+    if (this.currentModelId === modelId) {
+      const firstModel = this.getAllModels()[0];
+      this.currentModelId = firstModel ? firstModel.id : null;
+      await this.saveCurrentModelToStorage();
+    }
+
+    await this.saveCustomEndpointsToStorage();
+    await this.saveConfigsToStorage();
+    console.log(`Removed custom endpoint: ${modelId}`);
+    return true;
+  }
+
+  /**
+   * Loads user-defined endpoints from Chrome storage and registers an
+   * instance for each. Must run before the saved model selection is used.
+   *
+   * @returns {Promise<void>}
+   */
+  async loadCustomEndpointsFromStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['customEndpoints'], (result) => {
+        this.customEndpoints = result.customEndpoints || [];
+        for (const endpoint of this.customEndpoints) {
+          this.register(new OpenAICompatibleModel(endpoint.id, endpoint.name));
+        }
+        console.log(`Loaded ${this.customEndpoints.length} custom endpoints from storage`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Saves user-defined endpoints to Chrome storage
+   *
+   * @returns {Promise<void>}
+   */
+  async saveCustomEndpointsToStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ customEndpoints: this.customEndpoints }, () => {
+        console.log('Saved custom endpoints to storage');
+        resolve();
+      });
+    });
+  }
+
   /**
    * Loads all configurations from Chrome storage
    *
    * @returns {Promise<void>}
    */
   async loadConfigsFromStorage() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(['modelConfigs', 'selectedModel'], (result) => {
+    await new Promise((resolve) => {
+      chrome.storage.local.get(['modelConfigs', 'selectedModel', 'fallbackChain', 'taskModels'], (result) => {
         if (result.modelConfigs) {
           this.currentConfig = result.modelConfigs;
           console.log('Loaded model configurations from storage');
         }
+        if (result.fallbackChain) {
+          this.fallbackChain = result.fallbackChain;
+          console.log(`Loaded fallback chain: ${this.fallbackChain.join(' → ')}`);
+        }
+        if (result.taskModels) {
+          this.taskModels = result.taskModels;
+          console.log(`Loaded task models for: ${Object.keys(this.taskModels).join(', ')}`);
+        }
         if (result.selectedModel) {
           this.currentModelId = result.selectedModel;
           console.log(`Loaded selected model: ${result.selectedModel}`);
@@ -156,6 +439,59 @@ class ModelRegistry {
         resolve();
       });
     });
+
+    await this.decryptSecrets();
+  }
+
+  /**
+   * Decrypts vault-encrypted secrets in the loaded configurations, if the
+   * vault is unlocked. Locked secrets stay encrypted, which makes their
+   * models unusable (see resolveCurrentModel()) until it is.
+   *
+   * @returns {Promise<void>}
+   */
+  async decryptSecrets() {
+    if (!secretVault.enabled || !(await secretVault.isUnlocked())) {
+      return;
+    }
+
+    for (const [modelId, config] of Object.entries(this.currentConfig)) {
+      for (const [name, value] of Object.entries(config)) {
+        if (!SecretVault.isEncrypted(value)) continue;
+        try {
+          config[name] = await secretVault.decrypt(value);
+        } catch (error) {
+          console.error(`Could not decrypt ${name} for ${modelId}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns a copy of the configurations with every `password` field encrypted
+   *
+   * @returns {Promise<Object>}
+   * @throws {Error} If a new secret needs encrypting while the vault is locked
+   */
+  async encryptSecrets() {
+    const encrypted = {};
+
+    for (const [modelId, config] of Object.entries(this.currentConfig)) {
+      const model = this.getModel(modelId);
+      const secretFields = model
+        ? model.getConfigFields().filter(field => field.type === 'password').map(field => field.name)
+        : [];
+
+      encrypted[modelId] = { ...config };
+      for (const name of secretFields) {
+        const value = config[name];
+        if (typeof value === 'string' && value) {
+          encrypted[modelId][name] = await secretVault.encrypt(value);
+        }
+      }
+    }
+
+    return encrypted;
   }
 
   /**
@@ -176,10 +512,14 @@ class ModelRegistry {
    * Saves all configurations to Chrome storage
    *
    * @returns {Promise<void>}
+   * @throws {Error} If the vault is locked and a new secret needs encrypting
    */
   async saveConfigsToStorage() {
+    // With the vault on, secrets are only ever written encrypted
+    const modelConfigs = secretVault.enabled ? await this.encryptSecrets() : this.currentConfig;
+
     return new Promise((resolve) => {
-      chrome.storage.local.set({ modelConfigs: this.currentConfig }, () => {
+      chrome.storage.local.set({ modelConfigs }, () => {
         console.log('Saved model configurations to storage');
         resolve();
       });
@@ -187,14 +527,59 @@ class ModelRegistry {
   }
 
   /**
-   * Makes a chat request using the current model and its configuration
+   * Turns on the key vault and re-saves every secret encrypted
    *
-   * @param {string} systemPrompt - System message
-   * @param {string} userPrompt - User message
-   * @returns {Promise<string>} Model's response
-   * @throws {Error} If no model is selected or model not found
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   */
+  async enableVault(passphrase) {
+    await secretVault.enable(passphrase);
+    await this.saveConfigsToStorage();
+  }
+
+  /**
+   * Unlocks the key vault and decrypts the saved secrets
+   *
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If the passphrase is wrong
    */
-  async chat(systemPrompt, userPrompt) {
+  async unlockVault(passphrase) {
+    await secretVault.unlock(passphrase);
+    await this.decryptSecrets();
+  }
+
+  /**
+   * Locks the key vault, dropping the decrypted secrets from memory
+   *
+   * @returns {Promise<void>}
+   */
+  async lockVault() {
+    await secretVault.lock();
+    await this.loadConfigsFromStorage();
+  }
+
+  /**
+   * Turns off the key vault and re-saves every secret in plain text
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the vault is locked
+   */
+  async disableVault() {
+    if (!(await secretVault.isUnlocked())) {
+      throw new Error('Unlock the key vault before turning it off');
+    }
+    await secretVault.disable();
+    await this.saveConfigsToStorage();
+  }
+
+  /**
+   * Returns the current model and its configuration, validating both
+   *
+   * @returns {{model: BaseModel, config: Object}}
+   * @throws {Error} If no model is selected, model not found, or config is invalid
+   */
+  resolveCurrentModel() {
     if (!this.currentModelId) {
       throw new Error('No model selected');
     }
@@ -205,16 +590,634 @@ class ModelRegistry {
     }
 
     const config = this.getCurrentConfig();
+    ModelRegistry.checkUsable(model, config);
+    return { model, config };
+  }
+
+  /**
+   * Throws if a model can't be used with a configuration
+   *
+   * @param {BaseModel} model
+   * @param {Object} config
+   * @throws {ModelError} Coded VAULT_LOCKED if its secrets are still encrypted
+   * @throws {Error} If the configuration is invalid
+   */
+  static checkUsable(model, config) {
+    if (ModelRegistry.hasLockedSecrets(config)) {
+      throw new ModelError(`${model.displayName}'s API key is locked in the key vault`, {
+        code: ModelError.Codes.VAULT_LOCKED
+      });
+    }
+
     const validation = model.validateConfig(config);
 
     if (!validation.valid) {
       const errorMessages = Object.values(validation.errors).join(', ');
       throw new Error(`Invalid configuration: ${errorMessages}`);
     }
+  }
+
+  /**
+   * Returns the model assigned to a task role and its configuration (the
+   * model's saved configuration with the assignment's overrides applied),
+   * or null if the role uses the current model
+   *
+   * @param {string|null} task - One of TASK_ROLES
+   * @returns {{model: BaseModel, config: Object}|null}
+   */
+  getTaskModel(task) {
+    const assignment = task ? this.taskModels[task] : null;
+    const model = assignment ? this.getModel(assignment.modelId) : null;
+    if (!model) {
+      return null;
+    }
+    return { model, config: { ...(this.currentConfig[model.id] || {}), ...assignment.overrides } };
+  }
+
+  /**
+   * Returns the model to use for a task role and its configuration,
+   * validating both. Roles without an assignment use the current model.
+   *
+   * @param {string|null} [task] - One of TASK_ROLES
+   * @returns {{model: BaseModel, config: Object}}
+   * @throws {Error} If the model can't be used (see resolveCurrentModel())
+   */
+  resolveModelForTask(task = null) {
+    const assigned = this.getTaskModel(task);
+    if (!assigned) {
+      return this.resolveCurrentModel();
+    }
+
+    ModelRegistry.checkUsable(assigned.model, assigned.config);
+    return assigned;
+  }
+
+  /**
+   * Returns the token limits of the model used for a task, for sizing prompts
+   *
+   * @param {string|null} [task] - One of TASK_ROLES; the current model if omitted or unassigned
+   * @returns {{contextWindow: number, maxOutputTokens: number}}
+   * @throws {Error} If no model is selected or model not found
+   */
+  getCurrentModelLimits(task = null) {
+    const assigned = this.getTaskModel(task);
+    if (assigned) {
+      return assigned.model.getModelLimits(assigned.config);
+    }
+
+    const model = this.getCurrentModel();
+    if (!model) {
+      throw new Error('No model selected');
+    }
+    return model.getModelLimits(this.getCurrentConfig());
+  }
+
+  /**
+   * Returns how many requests may run at once on the model used for a task
+   * (see BaseModel.getMaxConcurrency())
+   *
+   * @param {string|null} [task] - One of TASK_ROLES; the current model if omitted or unassigned
+   * @returns {number}
+   * @throws {Error} If no model is selected or model not found
+   */
+  getConcurrencyLimit(task = null) {
+    const { model, config } = this.resolveModelForTask(task);
+    return model.getMaxConcurrency(config);
+  }
+
+  /**
+   * Makes a chat request using the current model (or the task's model) and its configuration
+   *
+   * Wrapper around chatMessages() for single-turn requests, which can be
+   * answered from the response cache when it is enabled. Only answers from
+   * the primary model are cached, never from a fallback.
+   *
+   * @param {string} systemPrompt - System message
+   * @param {string} userPrompt - User message
+   * @param {Object} [options] - Same options as chatMessages(), plus:
+   * @param {string} [options.context] - Stable context the question is about (page
+   *   or email text), sent apart from the prompts so it can be prompt-cached
+   * @param {boolean} [options.useCache] - Allow reading and writing the response cache
+   * @param {boolean} [options.bypassCache] - Skip the cache read (regenerate) but store the new answer
+   * @param {Function} [options.onCacheHit] - Called if the response came from the cache
+   * @returns {Promise<string>} Model's response
+   * @throws {Error} If no model is selected or model not found
+   */
+  async chat(systemPrompt, userPrompt, options = {}) {
+    const { useCache, bypassCache, onCacheHit, context, ...chatOptions } = options;
+    const messages = BaseModel.buildMessages(systemPrompt, userPrompt, context);
+
+    // Recording and replay need every request to reach chatMessages()
+    if (!useCache || !responseCache.enabled || modelRecorder.mode !== 'off') {
+      return await this.chatMessages(messages, chatOptions);
+    }
+
+    const key = await this.getCacheKey(systemPrompt, userPrompt, {
+      context,
+      task: chatOptions.task,
+      generation: chatOptions.generation
+    });
+
+    if (!bypassCache) {
+      try {
+        const cached = await responseCache.get(key);
+        if (cached !== null) {
+          console.log('Answered from response cache');
+          modelInspector.log({ ...chatOptions, messages, source: 'cache', response: cached, latencyMs: 0 });
+          if (onCacheHit) onCacheHit();
+          return cached;
+        }
+      } catch (error) {
+        console.warn('Response cache read failed:', error);
+      }
+    }
+
+    let answeredByFallback = false;
+    const response = await this.chatMessages(messages, {
+      ...chatOptions,
+      onModelUsed: (model) => {
+        answeredByFallback = model.isFallback;
+        if (chatOptions.onModelUsed) chatOptions.onModelUsed(model);
+      }
+    });
 
-    return await model.chat(systemPrompt, userPrompt, config);
+    if (!answeredByFallback) {
+      responseCache.set(key, response).catch((error) => {
+        console.warn('Response cache write failed:', error);
+      });
+    }
+    return response;
+  }
+
+  /**
+   * Makes a single-turn request for structured output and returns the parsed
+   * value. Models with a native JSON mode are constrained to the schema; for
+   * the rest it is described in the system prompt. The answer is parsed
+   * leniently and validated against the schema, and on failure the model is
+   * shown the errors and asked again, up to maxRepairs times.
+   *
+   * @param {string} systemPrompt - System message
+   * @param {string} userPrompt - User message
+   * @param {Object} schema - JSON Schema the result must match (see JSONSchema for supported keywords)
+   * @param {Object} [options] - Same options as chat(), plus:
+   * @param {number} [options.maxRepairs] - Re-prompts allowed after invalid output (default MAX_JSON_REPAIRS)
+   * @returns {Promise<*>} The validated value
+   * @throws {ModelError} Coded INVALID_OUTPUT if no valid answer is produced
+   */
+  async chatJSON(systemPrompt, userPrompt, schema, options = {}) {
+    const {
+      useCache, bypassCache, onCacheHit, context, maxRepairs = ModelRegistry.MAX_JSON_REPAIRS, ...chatOptions
+    } = options;
+    const caching = useCache && responseCache.enabled && modelRecorder.mode === 'off';
+    const key = caching
+      ? await this.getCacheKey(systemPrompt, userPrompt, {
+        schema, context, task: chatOptions.task, generation: chatOptions.generation
+      })
+      : null;
+
+    if (caching && !bypassCache) {
+      try {
+        const cached = await responseCache.get(key);
+        if (cached !== null) {
+          console.log('Answered from response cache');
+          modelInspector.log({
+            ...chatOptions,
+            messages: BaseModel.buildMessages(systemPrompt, userPrompt, context),
+            source: 'cache',
+            response: cached,
+            latencyMs: 0
+          });
+          if (onCacheHit) onCacheHit();
+          return JSON.parse(cached);
+        }
+      } catch (error) {
+        console.warn('Response cache read failed:', error);
+      }
+    }
+
+    const messages = BaseModel.buildMessages(
+      `${systemPrompt}\n\nRespond with only a JSON value matching this JSON Schema:\n${JSON.stringify(schema)}`,
+      userPrompt,
+      context
+    );
+    let answeredByFallback = false;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const response = await this.chatMessages(messages, {
+        ...chatOptions,
+        jsonSchema: schema,
+        onModelUsed: (model) => {
+          answeredByFallback = model.isFallback;
+          if (chatOptions.onModelUsed) chatOptions.onModelUsed(model);
+        }
+      });
+
+      let value;
+      try {
+        value = JSONSchema.parse(response);
+        errors = JSONSchema.validate(value, schema);
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (errors.length === 0) {
+        if (caching && !answeredByFallback) {
+          responseCache.set(key, JSON.stringify(value)).catch((error) => {
+            console.warn('Response cache write failed:', error);
+          });
+        }
+        return value;
+      }
+
+      console.warn(`Structured output attempt ${attempt + 1} invalid:`, errors);
+      messages.push(
+        { role: 'assistant', content: response },
+        {
+          role: 'user',
+          content: `That response does not match the schema:\n- ${errors.join('\n- ')}\n\nReply with only the corrected JSON.`
+        }
+      );
+    }
+
+    throw new ModelError(`Model did not return valid JSON: ${errors.join('; ')}`, {
+      code: ModelError.Codes.INVALID_OUTPUT
+    });
+  }
+
+  /**
+   * Builds the response cache key for a single-turn request to the current
+   * model (or the task's model). The key covers the provider, its settings
+   * (model name, max tokens, ...), both prompts, any stable context, any output
+   * schema and any per-call generation parameters; secrets such as API keys
+   * are left out.
+   *
+   * @param {string} systemPrompt
+   * @param {string} userPrompt
+   * @param {Object} [options]
+   * @param {Object} [options.schema] - Output schema for chatJSON() requests
+   * @param {string} [options.context] - Stable context sent with the prompts
+   * @param {string} [options.task] - Task role of the request
+   * @param {Object} [options.generation] - Per-call generation parameters
+   * @returns {Promise<string>}
+   * @throws {Error} If no model is selected or its configuration is invalid
+   */
+  async getCacheKey(systemPrompt, userPrompt, { schema = null, context = '', task = null, generation = null } = {}) {
+    const { model, config } = this.resolveModelForTask(task);
+    const secretFields = model.getConfigFields()
+      .filter(field => field.type === 'password')
+      .map(field => field.name);
+    const params = Object.fromEntries(
+      Object.entries(config)
+        .filter(([name]) => !secretFields.includes(name))
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+
+    const parts = [model.id, params, systemPrompt, userPrompt];
+    if (schema) {
+      parts.push(schema);
+    }
+    // Keys without context stay the same as before context existed
+    if (context) {
+      parts.push({ context });
+    }
+    const overrides = BaseModel.normalizeGenerationParams(generation || {});
+    if (Object.keys(overrides).length > 0) {
+      parts.push(overrides);
+    }
+    return ResponseCache.buildKey(parts);
+  }
+
+  /**
+   * Returns the configured fallback models that can currently be used,
+   * in chain order. Models without a valid configuration are skipped.
+   *
+   * @param {boolean} [localOnly=false] - Only include models that don't require internet
+   * @param {string} [excludeModelId] - The model already being tried (default: the current model)
+   * @returns {Array<{model: BaseModel, config: Object}>}
+   */
+  getFallbackCandidates(localOnly = false, excludeModelId = this.currentModelId) {
+    const candidates = [];
+
+    for (const modelId of this.fallbackChain) {
+      const model = this.getModel(modelId);
+      if (!model || modelId === excludeModelId) continue;
+
+      const config = this.currentConfig[modelId] || {};
+      if (ModelRegistry.hasLockedSecrets(config) || !model.validateConfig(config).valid) continue;
+      if (localOnly && model.requiresInternet(config)) continue;
+
+      candidates.push({ model, config });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Checks whether an error means the provider is unavailable rather than
+   * the request being wrong: server errors (5xx), rate limits (429),
+   * network failures and spending caps. Only these trigger a fallback.
+   *
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isFailoverError(error) {
+    if (error instanceof ModelError) {
+      return error.retryable ||
+        error.code === ModelError.Codes.QUOTA_EXCEEDED ||
+        error.code === ModelError.Codes.BUDGET_EXCEEDED ||
+        error.code === ModelError.Codes.UNSUPPORTED_INPUT;
+    }
+
+    // Providers that throw plain Errors: infer from the message
+    const message = error.message || '';
+    const statusMatch = message.match(/\((\d{3})\)/);
+
+    if (statusMatch) {
+      const status = parseInt(statusMatch[1]);
+      return status === 429 || status >= 500;
+    }
+    return /could not connect|failed to fetch|network/i.test(message);
+  }
+
+  /**
+   * Makes a multi-turn chat request using the current model and its configuration,
+   * or the model assigned to the request's task role (see setTaskModels()).
+   * If the model is unavailable, the models in the fallback chain are tried in order.
+   * Each model's spending caps are checked before it is tried, and the tokens
+   * of a successful request are recorded (estimated if the API doesn't report them).
+   * In the recorder's record mode the response is also saved for replay; in
+   * replay mode it comes from the recording and no model is called (see ModelRecorder).
+   * Each attempt is logged to the inspector when it is enabled (see ModelInspector).
+   *
+   * @param {Array<{role: string, content: string}>} messages - Role-tagged messages
+   * @param {Object} [options]
+   * @param {Function} [options.onToken] - Stream the response, calling this with each fragment
+   * @param {string} [options.task] - Task role of the request, one of TASK_ROLES
+   * @param {string} [options.component] - What is making the request, for the inspector (e.g. 'IntentParser')
+   * @param {boolean} [options.sensitive] - Only fall back to models that don't require internet
+   * @param {Function} [options.onModelUsed] - Called with { id, displayName, isFallback } for the model that answered
+   * @param {AbortSignal} [options.signal] - Cancels the request (rejects with a ModelError coded ABORTED)
+   * @param {Function} [options.onWarning] - Called with a message when a request goes over a warn-only spending cap
+   * @param {Array<Object>} [options.tools] - Tool definitions, for models that support tools (see chatWithTools())
+   * @param {Function} [options.onToolCalls] - Called with [{ id, name, arguments }] if the model asks for tools
+   * @param {Function} [options.onReasoning] - Called with the model's reasoning ("thinking") text, kept out of the response
+   * @param {Object} [options.jsonSchema] - Output schema, for models with a native JSON mode (see chatJSON())
+   * @param {Object} [options.generation] - Per-call generation parameters (e.g. { temperature: 0 }), overriding
+   *   the model's configuration; each provider sends the ones it supports
+   * @returns {Promise<string>} Model's response
+   * @throws {Error} If no model is selected or model not found, or the last model tried fails
+   */
+  async chatMessages(messages, options = {}) {
+    const { onModelUsed, sensitive, onWarning, task, component, ...modelOptions } = options;
+
+    // Recording and the inspector keep the tool calls and reasoning the caller receives along with the response
+    let recorded = null;
+    if (modelRecorder.mode === 'record' || modelInspector.enabled) {
+      recorded = { toolCalls: null, reasoning: '' };
+      const { onToolCalls, onReasoning } = modelOptions;
+      if (onToolCalls) {
+        modelOptions.onToolCalls = (calls, blocks) => {
+          recorded.toolCalls = calls;
+          onToolCalls(calls, blocks);
+        };
+      }
+      if (onReasoning) {
+        modelOptions.onReasoning = (text) => {
+          recorded.reasoning += text;
+          onReasoning(text);
+        };
+      }
+    }
+
+    // What the inspector logs of every attempt
+    const inspected = { component, task, messages, tools: modelOptions.tools, generation: modelOptions.generation };
+
+    // Replay answers from the recording without resolving or calling a model
+    if (modelRecorder.mode === 'replay') {
+      const replayModel = { id: 'replay', displayName: 'Recorded responses', isFallback: false };
+      try {
+        const response = await modelRecorder.replay(messages, modelOptions);
+        modelInspector.log({ ...inspected, ...recorded, model: replayModel, source: 'replay', response, latencyMs: 0 });
+        if (onModelUsed) {
+          onModelUsed(replayModel);
+        }
+        return response;
+      } catch (error) {
+        modelInspector.log({ ...inspected, model: replayModel, source: 'replay', error, latencyMs: 0 });
+        throw error;
+      }
+    }
+
+    const primary = this.resolveModelForTask(task);
+    const candidates = [primary, ...this.getFallbackCandidates(!!sensitive, primary.model.id)];
+    const inputTokens = messages.reduce((sum, m) =>
+      sum + TokenBudget.estimateTokens(m.content) + (m.images ? m.images.length * ModelRegistry.IMAGE_TOKEN_ESTIMATE : 0), 0);
+    const needsVision = BaseModel.hasImages(messages);
+
+    for (let i = 0; i < candidates.length; i++) {
+      const { model, config } = candidates[i];
+      if (recorded) {
+        Object.assign(recorded, { toolCalls: null, reasoning: '' });
+      }
+
+      const capCheck = await usageTracker.checkCaps(model, config, inputTokens);
+      if (capCheck.warning) {
+        console.warn(capCheck.warning);
+        if (capCheck.allowed && onWarning) {
+          onWarning(capCheck.warning);
+        }
+      }
+
+      // Models without tool support see any tool exchange so far as plain text
+      let attemptMessages = messages;
+      const attemptOptions = { ...modelOptions };
+      if (!model.supportsTools(config)) {
+        delete attemptOptions.tools;
+        attemptMessages = BaseModel.flattenToolMessages(messages);
+      }
+      if (!model.supportsJSONMode(config)) {
+        delete attemptOptions.jsonSchema;
+      }
+
+      // Once tokens have reached the caller, switching models would mix two answers
+      let streamed = false;
+      if (modelOptions.onToken) {
+        attemptOptions.onToken = (token) => {
+          streamed = true;
+          modelOptions.onToken(token);
+        };
+      }
+      if (modelOptions.onToken && modelOptions.onReasoning) {
+        attemptOptions.onReasoning = (text) => {
+          streamed = true;
+          modelOptions.onReasoning(text);
+        };
+      }
+
+      let usage = null;
+      attemptOptions.onUsage = (reported) => { usage = reported; };
+      const startedAt = Date.now();
+      const attempt = { ...inspected, model, isFallback: i > 0 };
+
+      try {
+        if (!capCheck.allowed) {
+          throw new ModelError(capCheck.warning, { code: ModelError.Codes.BUDGET_EXCEEDED });
+        }
+        if (needsVision && !model.supportsVision(config)) {
+          throw new ModelError(`${model.displayName} can't read images`, { code: ModelError.Codes.UNSUPPORTED_INPUT });
+        }
+
+        const response = await model.chatMessages(attemptMessages, config, attemptOptions);
+        const latencyMs = Date.now() - startedAt;
+        const recordedUsage = usage ? { ...usage, estimated: false } : {
+          inputTokens,
+          outputTokens: TokenBudget.estimateTokens(response),
+          estimated: true
+        };
+        await usageTracker.record(model, config, recordedUsage, capCheck.reservation);
+        modelInspector.log({ ...attempt, ...recorded, response, latencyMs, usage: recordedUsage });
+        if (modelRecorder.mode === 'record') {
+          await modelRecorder.record(messages, modelOptions.tools, { response, ...recorded });
+        }
+        if (onModelUsed) {
+          onModelUsed({ id: model.id, displayName: model.displayName, isFallback: i > 0 });
+        }
+        return response;
+      } catch (error) {
+        usageTracker.release(capCheck.reservation);
+        // Aborting can surface as a fetch or stream-read AbortError; normalize it
+        if (modelOptions.signal && modelOptions.signal.aborted) {
+          const aborted = new ModelError('Request cancelled', { code: ModelError.Codes.ABORTED });
+          modelInspector.log({ ...attempt, ...recorded, error: aborted, latencyMs: Date.now() - startedAt });
+          throw aborted;
+        }
+        modelInspector.log({ ...attempt, ...recorded, error, latencyMs: Date.now() - startedAt });
+
+        const next = candidates[i + 1];
+        if (!next || streamed || !ModelRegistry.isFailoverError(error)) {
+          throw error;
+        }
+        console.warn(`${model.displayName} unavailable (${error.message}), falling back to ${next.model.displayName}`);
+      }
+    }
+  }
+
+  /**
+   * Makes a multi-turn chat request in which the model can call tools.
+   * Each round, the tools the model asks for are run and their results sent
+   * back, until it answers without calling a tool (or MAX_TOOL_ROUNDS is
+   * reached). Models without tool support just answer.
+   *
+   * @param {Array<{role: string, content: string}>} messages - Role-tagged messages
+   * @param {Array<Object>} tools - { name, description, parameters, run(args) } (see BrowserTools)
+   * @param {Object} [options] - Same options as chatMessages(), plus:
+   * @param {Function} [options.onToolCall] - Called with { id, name, arguments } before each tool runs
+   * @param {Function} [options.onToolMessages] - Called at the end with the assistant tool-call
+   *   turns and tool results added to the conversation, so a caller keeping the history can
+   *   send them again with the next question (tool results, e.g. page text, are then reused
+   *   from the provider's prompt cache instead of fetched and billed afresh)
+   * @returns {Promise<string>} The text of every round, joined
+   */
+  async chatWithTools(messages, tools, options = {}) {
+    const { onToolCall, onToolMessages, ...chatOptions } = options;
+    const definitions = tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+    const conversation = [...messages];
+    let fullText = '';
+
+    for (let round = 0; round < ModelRegistry.MAX_TOOL_ROUNDS; round++) {
+      let toolCalls = [];
+      let reasoningBlocks = null;
+      let roundStarted = false;
+      const roundOptions = {
+        ...chatOptions,
+        tools: definitions,
+        onToolCalls: (calls, blocks) => {
+          toolCalls = calls;
+          reasoningBlocks = blocks;
+        }
+      };
+
+      // Keep each round's text a separate paragraph in the stream
+      if (chatOptions.onToken) {
+        roundOptions.onToken = (token) => {
+          if (!roundStarted && fullText) chatOptions.onToken('\n\n');
+          roundStarted = true;
+          chatOptions.onToken(token);
+        };
+      }
+
+      const text = await this.chatMessages(conversation, roundOptions);
+      if (text) {
+        fullText = fullText ? `${fullText}\n\n${text}` : text;
+      }
+
+      if (toolCalls.length === 0) {
+        if (onToolMessages) onToolMessages(conversation.slice(messages.length));
+        return fullText;
+      }
+
+      const assistantTurn = { role: 'assistant', content: text, toolCalls };
+      if (reasoningBlocks && reasoningBlocks.length > 0) {
+        assistantTurn.reasoningBlocks = reasoningBlocks;
+      }
+      conversation.push(assistantTurn);
+      for (const call of toolCalls) {
+        if (onToolCall) onToolCall(call);
+        const result = await this.runToolCall(tools, call, chatOptions.task);
+        conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, ...result });
+      }
+    }
+
+    console.warn(`Stopped after ${ModelRegistry.MAX_TOOL_ROUNDS} rounds of tool calls`);
+    if (onToolMessages) onToolMessages(conversation.slice(messages.length));
+    return fullText;
+  }
+
+  /**
+   * Runs one tool call. Failures are returned to the model as an error
+   * result rather than thrown, so it can recover; long results are cut
+   * to a share of the model's context window.
+   *
+   * @param {Array<Object>} tools
+   * @param {{name: string, arguments: Object}} call
+   * @param {string|null} [task] - Task role of the request, for the context window
+   * @returns {Promise<{content: string, isError: boolean}>}
+   */
+  async runToolCall(tools, call, task = null) {
+    const tool = tools.find(t => t.name === call.name);
+    if (!tool) {
+      return { content: `Unknown tool: ${call.name}`, isError: true };
+    }
+
+    try {
+      console.log(`Running tool ${call.name}`, call.arguments);
+      const result = await tool.run(call.arguments || {});
+      const text = typeof result === 'string' ? result : JSON.stringify(result);
+
+      const budget = Math.floor(this.getCurrentModelLimits(task).contextWindow * ModelRegistry.TOOL_RESULT_SHARE);
+      const fitted = TokenBudget.truncate(text, budget);
+      return {
+        content: fitted.truncated ? `${fitted.text}\n[Truncated to fit the context window]` : fitted.text,
+        isError: false
+      };
+    } catch (error) {
+      console.error(`Tool ${call.name} failed:`, error);
+      return { content: `Error: ${error.message}`, isError: true };
+    }
   }
 }
 
+// Roles callers tag requests with, so each can be routed to its own model
+ModelRegistry.TASK_ROLES = ['intent', 'plan', 'summarize', 'chat', 'compose'];
+// Rough prompt cost of one attached image (a screenshot), for usage estimates and caps
+ModelRegistry.IMAGE_TOKEN_ESTIMATE = 1600;
+// Re-prompts after invalid output per chatJSON() request
+ModelRegistry.MAX_JSON_REPAIRS = 2;
+// Tool rounds allowed per chatWithTools() request
+ModelRegistry.MAX_TOOL_ROUNDS = 5;
+// Largest share of the context window a single tool result may use
+ModelRegistry.TOOL_RESULT_SHARE = 0.25;
+
 // Create singleton instance (initialized in background.js)
 const modelRegistry = new ModelRegistry();
@@ -0,0 +1,223 @@
+/**
+ * OllamaModel - Model provider for a local Ollama server
+ *
+ * Connects to a locally running Ollama server (default: http://localhost:11434)
+ * using its native /api/chat endpoint. Installed models are discovered
+ * via /api/tags so users can pick from a list instead of typing names.
+ */
+class OllamaModel extends BaseModel {
+  constructor() {
+    super('ollama', 'Ollama (Local)');
+  }
+
+  getModelSpecificConfigFields() {
+    return [
+      {
+        name: 'baseUrl',
+        label: 'Base URL',
+        type: 'text',
+        placeholder: 'http://localhost:11434',
+        required: true,
+        defaultValue: 'http://localhost:11434',
+        helpText: 'If requests fail with 403, start Ollama with OLLAMA_ORIGINS=chrome-extension://*'
+      },
+      {
+        name: 'modelName',
+        label: 'Model',
+        type: 'select',
+        required: true,
+        defaultValue: '',
+        dynamicOptions: true,
+        options: [],
+        helpText: 'Models installed in Ollama (ollama pull <model> to add more)'
+      }
+    ];
+  }
+
+  getDescription() {
+    return 'Connect to your local Ollama server. Runs entirely on your machine with no internet required.';
+  }
+
+  requiresInternet() {
+    return false;
+  }
+
+  getSupportedGenerationParams() {
+    return ['temperature', 'topP', 'stop', 'seed', 'frequencyPenalty', 'presencePenalty'];
+  }
+
+  supportsJSONMode() {
+    return true;
+  }
+
+  supportsVision(config) {
+    return BaseModel.LOCAL_VISION_MODEL_PATTERN.test(config.modelName || '');
+  }
+
+  /**
+   * Returns the configured server URL without a trailing slash
+   * @param {Object} config
+   * @returns {string}
+   */
+  getBaseUrl(config) {
+    return (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+  }
+
+  getDefaultModelLimits(config) {
+    // Ollama's default num_ctx; a Context Window setting is sent as num_ctx
+    return { contextWindow: 4096, maxOutputTokens: 1024 };
+  }
+
+  /**
+   * Lists the models installed on the Ollama server
+   *
+   * @param {Object} config - Configuration (only baseUrl is used)
+   * @returns {Promise<Array<{value: string, label: string}>>} Select options
+   */
+  async listAvailableModels(config) {
+    // Listing is interactive - fail fast and let the user hit refresh
+    const response = await this.fetchWithRetry(`${this.getBaseUrl(config)}/api/tags`, {}, {
+      serviceName: 'Ollama',
+      maxRetries: 0
+    });
+
+    const data = await response.json();
+    return (data.models || []).map(m => {
+      const size = m.details && m.details.parameter_size ? ` (${m.details.parameter_size})` : '';
+      return { value: m.name, label: `${m.name}${size}` };
+    });
+  }
+
+  /**
+   * Adds the model's context length from /api/show
+   */
+  async testConnection(config) {
+    const result = await super.testConnection(config);
+    if (!result.modelExists) {
+      return result;
+    }
+
+    try {
+      const response = await fetch(`${this.getBaseUrl(config)}/api/show`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: config.modelName })
+      });
+      if (response.ok) {
+        const info = await response.json();
+        const modelInfo = info.model_info || {};
+        const contextKey = Object.keys(modelInfo).find(k => k.endsWith('.context_length'));
+        result.contextSize = contextKey ? modelInfo[contextKey] : null;
+      }
+    } catch (error) {
+      // Context size is optional detail - leave it unknown
+    }
+
+    return result;
+  }
+
+  diagnoseConnectionError(error, config) {
+    const diagnosis = super.diagnoseConnectionError(error, config);
+    if (/\(403\)/.test(diagnosis.error)) {
+      diagnosis.fix = 'Ollama rejected the extension\'s origin (403). Restart Ollama with OLLAMA_ORIGINS=chrome-extension://* set.';
+    } else if (diagnosis.reachable === false) {
+      diagnosis.fix = 'Could not reach Ollama. Start it with "ollama serve" (or the desktop app) and check the base URL.';
+    }
+    return diagnosis;
+  }
+
+  async chatMessages(messages, config, options = {}) {
+    const stream = typeof options.onToken === 'function';
+    const response = await this.sendRequest(messages, config, stream, options);
+
+    if (stream) {
+      let fullText = '';
+      const parser = BaseModel.createThinkTagParser((text) => {
+        fullText += text;
+        options.onToken(text);
+      }, (text) => BaseModel.reportReasoning(options, text));
+
+      // Ollama streams newline-delimited JSON objects rather than SSE
+      await this.readLines(response, (line) => {
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+          throw new ModelError(`Ollama API error: ${chunk.error}`, { code: ModelError.Codes.SERVER_ERROR });
+        }
+        // Newer Ollama versions separate reasoning as `thinking`; older ones leave <think> tags inline
+        if (chunk.message && chunk.message.thinking) {
+          BaseModel.reportReasoning(options, chunk.message.thinking);
+        }
+        if (chunk.message && chunk.message.content) {
+          parser.push(chunk.message.content);
+        }
+        // The final chunk carries the token counts
+        if (chunk.done) {
+          BaseModel.reportUsage(options, chunk.prompt_eval_count, chunk.eval_count);
+        }
+      });
+      parser.flush();
+
+      return fullText;
+    }
+
+    const data = await response.json();
+    BaseModel.reportUsage(options, data.prompt_eval_count, data.eval_count);
+    if (data.message) {
+      const { text, reasoning } = BaseModel.splitThinkTags(data.message.content);
+      BaseModel.reportReasoning(options, data.message.thinking || reasoning);
+      return text;
+    }
+
+    throw new Error('Unexpected response format from Ollama API');
+  }
+
+  /**
+   * Sends a request to the native /api/chat endpoint and returns the raw response
+   *
+   * @param {Array<{role: string, content: string}>} messages - Role-tagged messages
+   * @param {Object} config
+   * @param {boolean} stream - Whether to request a newline-delimited JSON stream
+   * @param {Object} [options] - chatMessages() options (signal, jsonSchema, generation)
+   * @returns {Promise<Response>}
+   */
+  async sendRequest(messages, config, stream, options = {}) {
+    const modelName = config.modelName;
+    const apiUrl = `${this.getBaseUrl(config)}/api/chat`;
+
+    if (!modelName) {
+      throw new Error('Ollama model is required');
+    }
+
+    // Same roles as Ollama's format; images are sent as bare base64 strings
+    const body = {
+      model: modelName,
+      messages: messages.map(m => m.images && m.images.length > 0
+        ? { role: m.role, content: m.content, images: m.images.map(image => image.data) }
+        : m),
+      stream
+    };
+    // Ollama constrains generation to a JSON Schema passed as `format`
+    if (options.jsonSchema) {
+      body.format = options.jsonSchema;
+    }
+
+    // Sampling settings go in `options`, under the same names as OpenAI's
+    body.options = OpenAICompatibleModel.toOpenAIParams(this.getGenerationParams(config, options.generation));
+
+    // Without num_ctx Ollama silently truncates prompts to its default window
+    const contextWindow = parseInt(config.contextWindow);
+    if (contextWindow > 0) {
+      body.options.num_ctx = contextWindow;
+    }
+
+    return await this.fetchWithRetry(apiUrl, {
+      method: 'POST',
+      signal: options.signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }, { serviceName: 'Ollama' });
+  }
+}
+
+// Register this class in the global registry
+BaseModel.registerClass('OllamaModel', OllamaModel);
@@ -0,0 +1,419 @@
+/**
+ * OpenAICompatibleModel - Model provider for any OpenAI-compatible endpoint
+ *
+ * Talks to servers that implement the OpenAI chat completions API
+ * (vLLM, llama.cpp server, internal gateways, ...). Everything that differs
+ * between them - base URL, auth header, extra headers and model name - is
+ * configuration.
+ *
+ * Users can create several named instances from the configuration panel;
+ * ModelRegistry registers each one under its own ID. OpenAIModel and
+ * LMStudioModel extend this class and only override the URL and auth hooks.
+ */
+class OpenAICompatibleModel extends BaseModel {
+  /**
+   * @param {string} id - Unique identifier for this instance
+   * @param {string} displayName - Name shown in the model dropdown
+   */
+  constructor(id = 'openai-compatible', displayName = 'OpenAI-Compatible Endpoint') {
+    super(id, displayName);
+  }
+
+  getModelSpecificConfigFields() {
+    return [
+      {
+        name: 'baseUrl',
+        label: 'Base URL',
+        type: 'text',
+        placeholder: 'http://localhost:8000/v1',
+        required: true,
+        helpText: 'Everything before /chat/completions, usually ending in /v1'
+      },
+      {
+        name: 'authHeaderName',
+        label: 'Auth Header Name',
+        type: 'text',
+        placeholder: 'Authorization',
+        required: false,
+        defaultValue: 'Authorization',
+        helpText: 'Leave the value empty if the server needs no authentication'
+      },
+      {
+        name: 'authHeaderValue',
+        label: 'Auth Header Value',
+        type: 'password',
+        placeholder: 'Bearer sk-...',
+        required: false
+      },
+      {
+        name: 'extraHeaders',
+        label: 'Extra Headers',
+        type: 'text',
+        placeholder: '{"X-Org-Id": "my-team"}',
+        required: false,
+        helpText: 'Optional JSON object of additional request headers'
+      },
+      {
+        name: 'modelName',
+        label: 'Model Name',
+        type: 'text',
+        placeholder: 'meta-llama/Llama-3.1-8B-Instruct',
+        required: true,
+        dynamicOptions: true,
+        helpText: 'The model name the server expects (suggestions come from the server\'s /models list)'
+      },
+      {
+        name: 'maxTokens',
+        label: 'Max Tokens',
+        type: 'number',
+        placeholder: '4096',
+        required: false,
+        helpText: 'Maximum tokens in the response (leave empty for the server default)'
+      }
+    ];
+  }
+
+  validateConfig(config) {
+    const result = super.validateConfig(config);
+
+    if (config.extraHeaders) {
+      try {
+        const headers = JSON.parse(config.extraHeaders);
+        if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+          throw new Error('not an object');
+        }
+      } catch (e) {
+        result.errors.extraHeaders = 'Extra Headers must be a JSON object, e.g. {"X-Header": "value"}';
+      }
+    }
+
+    result.valid = Object.keys(result.errors).length === 0;
+    return result;
+  }
+
+  getDescription() {
+    return 'Connect to any server that implements the OpenAI chat completions API, such as vLLM, llama.cpp or an internal gateway.';
+  }
+
+  /**
+   * Endpoints on this machine or a private network don't need internet access
+   *
+   * @param {Object} [config] - Instance configuration, used to inspect the base URL
+   * @returns {boolean}
+   */
+  requiresInternet(config = {}) {
+    try {
+      const hostname = new URL(config.baseUrl).hostname;
+      const isPrivate = hostname === 'localhost' ||
+        hostname === '[::1]' ||
+        hostname.endsWith('.local') ||
+        /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(hostname);
+      return !isPrivate;
+    } catch (e) {
+      return true;
+    }
+  }
+
+  /**
+   * Name used in error messages
+   * @returns {string}
+   */
+  getServiceName() {
+    return this.displayName;
+  }
+
+  /**
+   * Returns the API base URL (up to and including /v1) without a trailing slash
+   * @param {Object} config
+   * @returns {string}
+   */
+  getBaseUrl(config) {
+    return (config.baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /**
+   * Returns the HTTP headers for a request, including auth
+   * @param {Object} config
+   * @returns {Object}
+   */
+  getHeaders(config) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (config.extraHeaders) {
+      Object.assign(headers, JSON.parse(config.extraHeaders));
+    }
+    if (config.authHeaderValue) {
+      headers[config.authHeaderName || 'Authorization'] = config.authHeaderValue;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Returns the model name to send, falling back to a provider default
+   * @param {Object} config
+   * @returns {string}
+   */
+  getModelName(config) {
+    return config.modelName;
+  }
+
+  /**
+   * Returns the max_tokens value to send, or null to use the server default
+   * @param {Object} config
+   * @returns {number|null}
+   */
+  getMaxTokens(config) {
+    return parseInt(config.maxTokens) || null;
+  }
+
+  /**
+   * The request field the output limit from getMaxTokens() is sent as
+   * @param {Object} config
+   * @returns {string}
+   */
+  getMaxTokensParam(config) {
+    return 'max_tokens';
+  }
+
+  /**
+   * Whether to ask for token usage at the end of a stream
+   * (`stream_options.include_usage`). Off by default because some
+   * compatible servers reject unknown request fields.
+   * @returns {boolean}
+   */
+  supportsStreamUsage() {
+    return false;
+  }
+
+  /**
+   * The sampling fields of the chat completions API, which vLLM,
+   * llama.cpp and LM Studio all accept
+   * @returns {Array<string>}
+   */
+  getSupportedGenerationParams() {
+    return ['temperature', 'topP', 'stop', 'seed', 'frequencyPenalty', 'presencePenalty'];
+  }
+
+  /**
+   * Whether the server accepts `response_format` with a JSON Schema.
+   * Off by default; servers that ignore or reject it still get the
+   * schema described in the prompt (see ModelRegistry.chatJSON()).
+   * @returns {boolean}
+   */
+  supportsJSONMode() {
+    return false;
+  }
+
+  /**
+   * Whether the configured model accepts `image_url` content parts.
+   * Off by default; override for servers and models with vision.
+   * @param {Object} config
+   * @returns {boolean}
+   */
+  supportsVision(config) {
+    return false;
+  }
+
+  /**
+   * Maps role-tagged messages to the chat completions format. Plain turns
+   * pass through; tool calls and results use `tool_calls` and 'tool' messages,
+   * and images become `image_url` content parts with data URLs.
+   *
+   * @param {Array<Object>} messages
+   * @returns {Array<Object>}
+   */
+  toOpenAIMessages(messages) {
+    return messages.map((m) => {
+      if (m.role === 'tool') {
+        return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+      }
+      if (m.toolCalls) {
+        return {
+          role: 'assistant',
+          content: m.content || null,
+          tool_calls: m.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          }))
+        };
+      }
+      if (m.images && m.images.length > 0) {
+        return {
+          role: m.role,
+          content: [
+            { type: 'text', text: m.content },
+            ...m.images.map(image => ({ type: 'image_url', image_url: { url: BaseModel.toDataUrl(image) } }))
+          ]
+        };
+      }
+      return { role: m.role, content: m.content };
+    });
+  }
+
+  /**
+   * Filters the server's model list down to models usable for chat
+   * @param {Array<Object>} models - Entries from the /models response
+   * @returns {Array<Object>}
+   */
+  filterChatModels(models) {
+    return models;
+  }
+
+  /**
+   * Lists models from the server's /models endpoint
+   *
+   * @param {Object} config
+   * @returns {Promise<Array<{value: string, label: string}>>}
+   */
+  async listAvailableModels(config) {
+    // Listing is interactive - fail fast and let the user hit refresh
+    const response = await this.fetchWithRetry(`${this.getBaseUrl(config)}/models`, {
+      headers: this.getHeaders(config)
+    }, { serviceName: this.getServiceName(), maxRetries: 0 });
+
+    const data = await response.json();
+    return this.filterChatModels(data.data || [])
+      .map(m => ({ value: m.id, label: m.id }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  async chatMessages(messages, config, options = {}) {
+    const stream = typeof options.onToken === 'function';
+    const response = await this.sendRequest(messages, config, stream, options);
+
+    if (stream) {
+      let fullText = '';
+      let usage = null;
+      const toolCalls = []; // Assembled from fragments, by index
+      const parser = BaseModel.createThinkTagParser((text) => {
+        fullText += text;
+        options.onToken(text);
+      }, (text) => BaseModel.reportReasoning(options, text));
+
+      await this.readEventStream(response, (payload) => {
+        const chunk = JSON.parse(payload);
+        const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+        // Reasoning arrives in its own field on some servers and inline in <think> tags on others
+        const reasoning = delta && (delta.reasoning_content || delta.reasoning);
+        if (reasoning) {
+          BaseModel.reportReasoning(options, reasoning);
+        }
+        if (delta && delta.content) {
+          parser.push(delta.content);
+        }
+        if (delta && delta.tool_calls) {
+          for (const fragment of delta.tool_calls) {
+            const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: '', name: '', json: '' });
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function && fragment.function.name) call.name += fragment.function.name;
+            if (fragment.function && fragment.function.arguments) call.json += fragment.function.arguments;
+          }
+        }
+        // Sent on the final chunk when requested, and by some servers regardless
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      });
+      parser.flush();
+
+      if (usage) {
+        BaseModel.reportUsage(options, usage.prompt_tokens, usage.completion_tokens);
+      }
+      BaseModel.reportToolCalls(options, toolCalls.filter(Boolean).map(call => ({
+        id: call.id,
+        name: call.name,
+        arguments: BaseModel.parseToolArguments(call.json)
+      })));
+      return fullText;
+    }
+
+    const data = await response.json();
+    if (data.usage) {
+      BaseModel.reportUsage(options, data.usage.prompt_tokens, data.usage.completion_tokens);
+    }
+
+    if (data.choices && data.choices.length > 0) {
+      const message = data.choices[0].message;
+      BaseModel.reportToolCalls(options, (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: BaseModel.parseToolArguments(call.function.arguments)
+      })));
+
+      const { text, reasoning } = BaseModel.splitThinkTags(message.content || '');
+      BaseModel.reportReasoning(options, message.reasoning_content || message.reasoning || reasoning);
+      return text;
+    }
+
+    throw new Error(`Unexpected response format from ${this.getServiceName()}`);
+  }
+
+  /**
+   * Maps neutral generation parameters to chat completions fields
+   *
+   * @param {Object} params - From getGenerationParams()
+   * @returns {Object}
+   */
+  static toOpenAIParams(params) {
+    const names = {
+      temperature: 'temperature',
+      topP: 'top_p',
+      stop: 'stop',
+      seed: 'seed',
+      frequencyPenalty: 'frequency_penalty',
+      presencePenalty: 'presence_penalty'
+    };
+    return Object.fromEntries(Object.entries(params).map(([name, value]) => [names[name], value]));
+  }
+
+  /**
+   * Sends a chat completions request and returns the raw response
+   *
+   * @param {Array<Object>} messages
+   * @param {Object} config
+   * @param {boolean} stream - Whether to request a server-sent event stream
+   * @param {Object} [options] - chatMessages() options (signal, tools, jsonSchema, generation)
+   * @returns {Promise<Response>}
+   */
+  async sendRequest(messages, config, stream, options = {}) {
+    const apiUrl = `${this.getBaseUrl(config)}/chat/completions`;
+    const maxTokens = this.getMaxTokens(config);
+
+    const body = {
+      model: this.getModelName(config),
+      messages: this.toOpenAIMessages(messages),
+      stream,
+      ...OpenAICompatibleModel.toOpenAIParams(this.getGenerationParams(config, options.generation))
+    };
+    if (options.tools) {
+      body.tools = options.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+    if (options.jsonSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: options.jsonSchema }
+      };
+    }
+    if (stream && this.supportsStreamUsage()) {
+      body.stream_options = { include_usage: true };
+    }
+    if (maxTokens) {
+      body[this.getMaxTokensParam(config)] = maxTokens;
+    }
+
+    return await this.fetchWithRetry(apiUrl, {
+      method: 'POST',
+      signal: options.signal,
+      headers: this.getHeaders(config),
+      body: JSON.stringify(body)
+    }, { serviceName: this.getServiceName() });
+  }
+}
+
+// Register this class in the global registry
+BaseModel.registerClass('OpenAICompatibleModel', OpenAICompatibleModel);
@@ -2,9 +2,10 @@
  * OpenAIModel - Model provider for OpenAI's API
  *
  * Connects to OpenAI's API using an API key.
- * Supports GPT-4, GPT-3.5, and other OpenAI models.
+ * Supports GPT-4, GPT-3.5, and other OpenAI models. The request and
+ * streaming logic is inherited from OpenAICompatibleModel.
  */
-class OpenAIModel extends BaseModel {
+class OpenAIModel extends OpenAICompatibleModel {
   constructor() {
     super('openai', 'OpenAI (ChatGPT)');
   }
@@ -25,6 +26,7 @@ class OpenAIModel extends BaseModel {
         type: 'select',
         required: true,
         defaultValue: 'gpt-4.1-mini',
+        dynamicOptions: true,
         options: [
           { value: 'gpt-5.2', label: 'GPT-52 (Most Capable)' },
           { value: 'gpt-5-mini', label: 'GPT-45 Mini' },
@@ -52,75 +54,130 @@ class OpenAIModel extends BaseModel {
     return true;
   }
 
-  async chat(systemPrompt, userPrompt, config) {
-    const apiKey = config.apiKey;
-    const modelName = config.modelName || 'gpt-4o-mini';
-    const maxTokens = parseInt(config.maxTokens) || 4096;
+  getServiceName() {
+    return 'OpenAI';
+  }
+
+  getBaseUrl(config) {
+    return 'https://api.openai.com/v1';
+  }
 
-    if (!apiKey) {
+  getHeaders(config) {
+    if (!config.apiKey) {
       throw new Error('OpenAI API key is required');
     }
 
-    const apiUrl = 'https://api.openai.com/v1/chat/completions';
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${config.apiKey}`
+    };
+  }
 
-    const messages = [
-      {
-        role: 'system',
-        content: systemPrompt
-      },
-      {
-        role: 'user',
-        content: userPrompt
-      }
-    ];
+  getModelName(config) {
+    return config.modelName || 'gpt-4.1-mini';
+  }
 
-    try {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          model: modelName,
-          messages: messages,
-          max_tokens: maxTokens,
-          stream: false
-        })
-      });
-
-      if (!response.ok) {
-        const errText = await response.text();
-        let errorMessage = `OpenAI API error (${response.status})`;
-
-        try {
-          const errorData = JSON.parse(errText);
-          if (errorData.error && errorData.error.message) {
-            errorMessage = errorData.error.message;
-          }
-        } catch (e) {
-          errorMessage = errText;
-        }
-
-        throw new Error(errorMessage);
-      }
+  getMaxTokens(config) {
+    return parseInt(config.maxTokens) || 4096;
+  }
 
-      const data = await response.json();
+  getMaxTokensParam(config) {
+    // Reasoning models reject max_tokens
+    if (OpenAIModel.REASONING_MODEL_PATTERN.test(this.getModelName(config))) {
+      return 'max_completion_tokens';
+    }
+    return super.getMaxTokensParam(config);
+  }
 
-      if (data.choices && data.choices.length > 0) {
-        return data.choices[0].message.content;
-      }
+  getDefaultModelLimits(config) {
+    const modelName = this.getModelName(config);
+    const known = OpenAIModel.MODEL_LIMITS.find(entry => entry.pattern.test(modelName));
+    const maxOutput = known ? known.maxOutputTokens : 4096;
 
-      throw new Error('Unexpected response format from OpenAI API');
-    } catch (error) {
-      console.error('OpenAI API error:', error);
-      if (error.message.includes('API error')) {
-        throw error;
-      }
-      throw new Error(`Could not connect to OpenAI API: ${error.message}`);
+    return {
+      contextWindow: known ? known.contextWindow : 128000,
+      maxOutputTokens: Math.min(this.getMaxTokens(config), maxOutput)
+    };
+  }
+
+  getPricing(config) {
+    const modelName = this.getModelName(config);
+    const known = OpenAIModel.MODEL_PRICING.find(entry => entry.pattern.test(modelName));
+    return known ? { inputPerMTok: known.inputPerMTok, outputPerMTok: known.outputPerMTok } : null;
+  }
+
+  supportsStreamUsage() {
+    return true;
+  }
+
+  getSupportedGenerationParams(config = {}) {
+    // Reasoning models reject sampling settings
+    if (OpenAIModel.REASONING_MODEL_PATTERN.test(this.getModelName(config))) {
+      return ['seed'];
     }
+    return super.getSupportedGenerationParams(config);
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  supportsJSONMode() {
+    return true;
+  }
+
+  supportsVision(config) {
+    return OpenAIModel.VISION_MODEL_PATTERN.test(this.getModelName(config));
+  }
+
+  filterChatModels(models) {
+    // The models endpoint also lists embedding, audio and image models
+    return models.filter(m => /^(gpt-|chatgpt-|o\d)/.test(m.id) &&
+      !/(embedding|audio|realtime|transcribe|tts|image|search)/.test(m.id));
   }
 }
 
+/**
+ * Context window and maximum output per model family, first match wins
+ */
+OpenAIModel.MODEL_LIMITS = [
+  { pattern: /^gpt-5/, contextWindow: 400000, maxOutputTokens: 128000 },
+  { pattern: /^gpt-4\.1/, contextWindow: 1047576, maxOutputTokens: 32768 },
+  { pattern: /^(gpt-4o|chatgpt-4o)/, contextWindow: 128000, maxOutputTokens: 16384 },
+  { pattern: /^gpt-4-turbo/, contextWindow: 128000, maxOutputTokens: 4096 },
+  { pattern: /^gpt-4/, contextWindow: 8192, maxOutputTokens: 8192 },
+  { pattern: /^gpt-3\.5-turbo/, contextWindow: 16385, maxOutputTokens: 4096 },
+  { pattern: /^o\d/, contextWindow: 200000, maxOutputTokens: 100000 }
+];
+
+/**
+ * List prices in USD per million tokens, first match wins. Used for
+ * usage estimates and spending caps, not billing.
+ */
+OpenAIModel.MODEL_PRICING = [
+  { pattern: /^gpt-5.*-nano/, inputPerMTok: 0.05, outputPerMTok: 0.4 },
+  { pattern: /^gpt-5.*-mini/, inputPerMTok: 0.25, outputPerMTok: 2 },
+  { pattern: /^gpt-5\.2/, inputPerMTok: 1.75, outputPerMTok: 14 },
+  { pattern: /^gpt-5/, inputPerMTok: 1.25, outputPerMTok: 10 },
+  { pattern: /^gpt-4\.1-nano/, inputPerMTok: 0.1, outputPerMTok: 0.4 },
+  { pattern: /^gpt-4\.1-mini/, inputPerMTok: 0.4, outputPerMTok: 1.6 },
+  { pattern: /^gpt-4\.1/, inputPerMTok: 2, outputPerMTok: 8 },
+  { pattern: /^gpt-4o-mini/, inputPerMTok: 0.15, outputPerMTok: 0.6 },
+  { pattern: /^(gpt-4o|chatgpt-4o)/, inputPerMTok: 2.5, outputPerMTok: 10 },
+  { pattern: /^gpt-4-turbo/, inputPerMTok: 10, outputPerMTok: 30 },
+  { pattern: /^gpt-4/, inputPerMTok: 30, outputPerMTok: 60 },
+  { pattern: /^gpt-3\.5-turbo/, inputPerMTok: 0.5, outputPerMTok: 1.5 },
+  { pattern: /^o\d-mini/, inputPerMTok: 1.1, outputPerMTok: 4.4 },
+  { pattern: /^o3/, inputPerMTok: 2, outputPerMTok: 8 },
+  { pattern: /^o1/, inputPerMTok: 15, outputPerMTok: 60 }
+];
+
+// Reasoning models, which only accept the default sampling settings and
+// take their output limit as max_completion_tokens
+OpenAIModel.REASONING_MODEL_PATTERN = /^(o\d|gpt-5(?!.*-chat))/;
+
+// Models that accept image input
+OpenAIModel.VISION_MODEL_PATTERN = /^(gpt-4o|chatgpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|o1(?!-mini|-preview)|o3(?!-mini)|o4)/;
+
 // Register this class in the global registry
 BaseModel.registerClass('OpenAIModel', OpenAIModel);
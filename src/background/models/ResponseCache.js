@@ -0,0 +1,198 @@
+/**
+ * ResponseCache - Persistent cache of model responses in IndexedDB
+ *
+ * Used by ModelRegistry.chat() so repeating a summary or intent parse on
+ * the same content doesn't cost another model round-trip. Entries are keyed
+ * by a SHA-256 hash of the provider, its settings and the prompts, expire
+ * after TTL_MS, and the oldest are evicted beyond MAX_ENTRIES.
+ * Off unless the user enables it (`responseCacheEnabled` in chrome.storage.local).
+ */
+class ResponseCache {
+  constructor() {
+    if (ResponseCache.instance) {
+      return ResponseCache.instance;
+    }
+
+    this.enabled = false;
+    this.dbPromise = null;
+
+    ResponseCache.instance = this;
+  }
+
+  /**
+   * Loads the enabled setting from Chrome storage
+   *
+   * @returns {Promise<void>}
+   */
+  async loadSettingsFromStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['responseCacheEnabled'], (result) => {
+        this.enabled = !!result.responseCacheEnabled;
+        console.log(`Response cache ${this.enabled ? 'enabled' : 'disabled'}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Turns the cache on or off. Existing entries are kept until cleared or expired.
+   *
+   * @param {boolean} enabled
+   * @returns {Promise<void>}
+   */
+  async setEnabled(enabled) {
+    this.enabled = !!enabled;
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ responseCacheEnabled: this.enabled }, () => {
+        console.log(`Saved response cache setting: ${this.enabled}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Builds a cache key from anything that affects the response
+   *
+   * @param {Array} parts - JSON-serializable values (provider, settings, prompts)
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  static async buildKey(parts) {
+    const data = new TextEncoder().encode(JSON.stringify(parts));
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Wraps an IndexedDB request in a promise
+   *
+   * @param {IDBRequest} request
+   * @returns {Promise<*>}
+   */
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Opens (and on first use creates) the database
+   *
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(ResponseCache.DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(ResponseCache.STORE_NAME, { keyPath: 'key' });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      this.dbPromise = ResponseCache.promisify(request).catch((error) => {
+        this.dbPromise = null; // Try again next time
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Opens a transaction on the responses store
+   *
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @returns {Promise<IDBObjectStore>}
+   */
+  async getStore(mode) {
+    const db = await this.openDatabase();
+    return db.transaction(ResponseCache.STORE_NAME, mode).objectStore(ResponseCache.STORE_NAME);
+  }
+
+  /**
+   * Looks up a response, dropping it if it has expired
+   *
+   * @param {string} key - From buildKey()
+   * @returns {Promise<string|null>} The cached response, or null on a miss
+   */
+  async get(key) {
+    const store = await this.getStore('readwrite');
+    const entry = await ResponseCache.promisify(store.get(key));
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() - entry.createdAt > ResponseCache.TTL_MS) {
+      await ResponseCache.promisify(store.delete(key));
+      return null;
+    }
+
+    return entry.response;
+  }
+
+  /**
+   * Stores a response, then evicts the oldest entries over MAX_ENTRIES.
+   * Responses longer than MAX_RESPONSE_CHARS are not cached.
+   *
+   * @param {string} key - From buildKey()
+   * @param {string} response
+   * @returns {Promise<void>}
+   */
+  async set(key, response) {
+    if (typeof response !== 'string' || response.length > ResponseCache.MAX_RESPONSE_CHARS) {
+      return;
+    }
+
+    const store = await this.getStore('readwrite');
+    await ResponseCache.promisify(store.put({ key, response, createdAt: Date.now() }));
+
+    let excess = await ResponseCache.promisify(store.count()) - ResponseCache.MAX_ENTRIES;
+    if (excess <= 0) return;
+
+    // Walk from the oldest entry, deleting until we're under the limit
+    await new Promise((resolve, reject) => {
+      const request = store.index('createdAt').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess <= 0) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Counts stored entries (including expired ones not yet dropped)
+   *
+   * @returns {Promise<number>}
+   */
+  async count() {
+    const store = await this.getStore('readonly');
+    return ResponseCache.promisify(store.count());
+  }
+
+  /**
+   * Deletes every cached response
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const store = await this.getStore('readwrite');
+    await ResponseCache.promisify(store.clear());
+    console.log('Response cache cleared');
+  }
+}
+
+ResponseCache.DB_NAME = 'browser-assistant-cache';
+ResponseCache.STORE_NAME = 'responses';
+
+// Entries older than this are treated as misses
+ResponseCache.TTL_MS = 24 * 60 * 60 * 1000;
+// Size limits: number of entries kept, and longest response worth storing
+ResponseCache.MAX_ENTRIES = 500;
+ResponseCache.MAX_RESPONSE_CHARS = 100000;
+
+// Create singleton instance
+const responseCache = new ResponseCache();
@@ -0,0 +1,268 @@
+/**
+ * SecretVault - Optional passphrase-based encryption of API keys
+ *
+ * When enabled, ModelRegistry stores every `password` config field as
+ * { vaultEncrypted: true, iv, data } (AES-GCM, base64) instead of plain text.
+ * The AES key is derived from the user's passphrase with PBKDF2 and, once
+ * unlocked, is kept only in chrome.storage.session, which Chrome clears when
+ * the browser closes and doesn't expose to content scripts. The salt and an
+ * encrypted check value (to recognize a wrong passphrase) are stored in
+ * chrome.storage.local as `keyVault`.
+ */
+class SecretVault {
+  constructor() {
+    if (SecretVault.instance) {
+      return SecretVault.instance;
+    }
+
+    this.meta = null; // { salt, iterations, check } when enabled
+    this.key = null;  // CryptoKey, cached from chrome.storage.session
+
+    SecretVault.instance = this;
+  }
+
+  /**
+   * Whether the vault has been set up
+   * @returns {boolean}
+   */
+  get enabled() {
+    return !!this.meta;
+  }
+
+  /**
+   * Loads the vault settings from Chrome storage
+   *
+   * @returns {Promise<void>}
+   */
+  async loadFromStorage() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['keyVault'], (result) => {
+        this.meta = result.keyVault || null;
+        console.log(`Key vault ${this.enabled ? 'enabled' : 'disabled'}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Whether a value is an encrypted secret
+   *
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static isEncrypted(value) {
+    return !!value && typeof value === 'object' && value.vaultEncrypted === true;
+  }
+
+  /**
+   * @param {ArrayBuffer|Uint8Array} buffer
+   * @returns {string}
+   */
+  static toBase64(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+  }
+
+  /**
+   * @param {string} base64
+   * @returns {Uint8Array}
+   */
+  static fromBase64(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
+  /**
+   * Derives the AES-GCM key for a passphrase
+   *
+   * @param {string} passphrase
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @returns {Promise<CryptoKey>}
+   */
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    // Extractable so it can be kept in chrome.storage.session between service worker restarts
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Gets the unlocked key, if any
+   *
+   * @returns {Promise<CryptoKey|null>}
+   */
+  async getKey() {
+    if (this.key || !this.enabled) {
+      return this.key;
+    }
+
+    const { vaultKey } = await chrome.storage.session.get('vaultKey');
+    if (vaultKey) {
+      this.key = await crypto.subtle.importKey('jwk', vaultKey, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+    }
+    return this.key;
+  }
+
+  /**
+   * Whether secrets can currently be read and written
+   *
+   * @returns {Promise<boolean>}
+   */
+  async isUnlocked() {
+    return !!(await this.getKey());
+  }
+
+  /**
+   * Keeps a key for the rest of the browser session
+   *
+   * @param {CryptoKey} key
+   * @returns {Promise<void>}
+   */
+  async storeKey(key) {
+    this.key = key;
+    await chrome.storage.session.set({ vaultKey: await crypto.subtle.exportKey('jwk', key) });
+  }
+
+  /**
+   * Sets up the vault with a new passphrase and unlocks it
+   *
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   */
+  async enable(passphrase) {
+    if (!passphrase || passphrase.length < SecretVault.MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${SecretVault.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await SecretVault.deriveKey(passphrase, salt, SecretVault.PBKDF2_ITERATIONS);
+    this.key = key;
+
+    this.meta = {
+      salt: SecretVault.toBase64(salt),
+      iterations: SecretVault.PBKDF2_ITERATIONS,
+      check: await this.encrypt(SecretVault.CHECK_VALUE)
+    };
+    await chrome.storage.local.set({ keyVault: this.meta });
+    await this.storeKey(key);
+    console.log('Key vault enabled');
+  }
+
+  /**
+   * Unlocks the vault for this browser session
+   *
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} If the vault isn't enabled or the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    if (!this.enabled) {
+      throw new Error('The key vault is not enabled');
+    }
+
+    const key = await SecretVault.deriveKey(
+      passphrase || '', SecretVault.fromBase64(this.meta.salt), this.meta.iterations
+    );
+
+    try {
+      await SecretVault.decryptWith(key, this.meta.check);
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
+
+    await this.storeKey(key);
+    console.log('Key vault unlocked');
+  }
+
+  /**
+   * Forgets the key until the passphrase is entered again
+   *
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    this.key = null;
+    await chrome.storage.session.remove('vaultKey');
+    console.log('Key vault locked');
+  }
+
+  /**
+   * Turns the vault off. The caller is responsible for re-saving secrets
+   * in plain text first.
+   *
+   * @returns {Promise<void>}
+   */
+  async disable() {
+    this.meta = null;
+    await chrome.storage.local.remove('keyVault');
+    await this.lock();
+    console.log('Key vault disabled');
+  }
+
+  /**
+   * Encrypts a secret with the unlocked key
+   *
+   * @param {string} text
+   * @returns {Promise<{vaultEncrypted: boolean, iv: string, data: string}>}
+   * @throws {Error} If the vault is locked
+   */
+  async encrypt(text) {
+    const key = await this.getKey();
+    if (!key) {
+      throw new Error('The key vault is locked');
+    }
+    return { vaultEncrypted: true, ...(await SecretVault.encryptWith(key, text)) };
+  }
+
+  /**
+   * @param {CryptoKey} key
+   * @param {string} text
+   * @returns {Promise<{iv: string, data: string}>}
+   */
+  static async encryptWith(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: SecretVault.toBase64(iv), data: SecretVault.toBase64(data) };
+  }
+
+  /**
+   * Decrypts a secret with the unlocked key
+   *
+   * @param {{iv: string, data: string}} value - From encrypt()
+   * @returns {Promise<string>}
+   * @throws {Error} If the vault is locked or the value was encrypted with another key
+   */
+  async decrypt(value) {
+    const key = await this.getKey();
+    if (!key) {
+      throw new Error('The key vault is locked');
+    }
+    return SecretVault.decryptWith(key, value);
+  }
+
+  /**
+   * @param {CryptoKey} key
+   * @param {{iv: string, data: string}} value
+   * @returns {Promise<string>}
+   */
+  static async decryptWith(key, value) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: SecretVault.fromBase64(value.iv) }, key, SecretVault.fromBase64(value.data)
+    );
+    return new TextDecoder().decode(data);
+  }
+}
+
+// PBKDF2-SHA256 work factor for new vaults (OWASP recommendation)
+SecretVault.PBKDF2_ITERATIONS = 600000;
+SecretVault.MIN_PASSPHRASE_LENGTH = 8;
+// Known plaintext encrypted at setup, to tell a wrong passphrase from a right one
+SecretVault.CHECK_VALUE = 'browser-assistant-key-vault';
+
+// Create singleton instance
+const secretVault = new SecretVault();
@@ -0,0 +1,289 @@
+/**
+ * UsageTracker - Records token usage and estimated cost per model, and
+ * enforces optional spending caps
+ *
+ * Daily aggregates are kept in chrome.storage.local (`usageStats`) as
+ * { 'YYYY-MM-DD': { [modelId]: { requests, inputTokens, outputTokens, cacheReadTokens,
+ * cacheWriteTokens, cost, estimatedRequests } } }, where inputTokens includes
+ * the prompt tokens read from or written to a provider's prompt cache,
+ * and caps as `usageCaps`: { [modelId]: { daily, monthly, mode: 'block'|'warn' } } in USD.
+ * Costs come from each provider's getPricing(); providers without pricing
+ * (local servers) are tracked in tokens only.
+ */
+class UsageTracker {
+  constructor() {
+    if (UsageTracker.instance) {
+      return UsageTracker.instance;
+    }
+
+    this.stats = {};
+    this.caps = {};
+    this.reserved = {}; // Model ID -> projected USD of requests in flight (see checkCaps())
+    this.loading = null;
+
+    UsageTracker.instance = this;
+  }
+
+  /**
+   * Loads stats and caps from storage once; later calls reuse the same promise
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureLoaded() {
+    if (!this.loading) {
+      this.loading = new Promise((resolve) => {
+        chrome.storage.local.get(['usageStats', 'usageCaps'], (result) => {
+          this.stats = result.usageStats || {};
+          this.caps = result.usageCaps || {};
+          console.log(`Loaded usage stats for ${Object.keys(this.stats).length} days`);
+          resolve();
+        });
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Saves stats to Chrome storage, dropping days past the retention period
+   *
+   * @returns {Promise<void>}
+   */
+  async saveStatsToStorage() {
+    const oldest = UsageTracker.dateKey(new Date(Date.now() - UsageTracker.RETENTION_DAYS * 86400000));
+    for (const day of Object.keys(this.stats)) {
+      if (day < oldest) {
+        delete this.stats[day];
+      }
+    }
+
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ usageStats: this.stats }, () => resolve());
+    });
+  }
+
+  /**
+   * Formats a date as a local-time 'YYYY-MM-DD' key
+   *
+   * @param {Date} [date]
+   * @returns {string}
+   */
+  static dateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Works out the cost of a request in USD. Cached prompt tokens are priced
+   * at the cache rates, or the input rate if the provider has none.
+   *
+   * @param {{inputPerMTok: number, outputPerMTok: number, cacheReadPerMTok?: number, cacheWritePerMTok?: number}|null} pricing
+   *   From BaseModel.getPricing()
+   * @param {number} inputTokens - Every prompt token, cached or not
+   * @param {number} outputTokens
+   * @param {{cacheReadTokens?: number, cacheWriteTokens?: number}} [cached]
+   * @returns {number} 0 if the model has no pricing
+   */
+  static estimateCost(pricing, inputTokens, outputTokens, { cacheReadTokens = 0, cacheWriteTokens = 0 } = {}) {
+    if (!pricing) return 0;
+    const readPrice = pricing.cacheReadPerMTok ?? pricing.inputPerMTok;
+    const writePrice = pricing.cacheWritePerMTok ?? pricing.inputPerMTok;
+    const uncachedTokens = Math.max(0, inputTokens - cacheReadTokens - cacheWriteTokens);
+    return (uncachedTokens * pricing.inputPerMTok + cacheReadTokens * readPrice + cacheWriteTokens * writePrice +
+      outputTokens * pricing.outputPerMTok) / 1000000;
+  }
+
+  /**
+   * A zeroed totals entry
+   *
+   * @returns {Object}
+   */
+  static emptyTotals() {
+    return {
+      requests: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, cost: 0, estimatedRequests: 0
+    };
+  }
+
+  /**
+   * Adds a completed request to today's totals
+   *
+   * @param {BaseModel} model
+   * @param {Object} config
+   * @param {{inputTokens: number, outputTokens: number, cacheReadTokens?: number,
+   *   cacheWriteTokens?: number, estimated: boolean}} usage
+   * @param {Object|null} [reservation] - From checkCaps(), replaced by the actual cost
+   * @returns {Promise<void>}
+   */
+  async record(model, config, usage, reservation = null) {
+    this.release(reservation);
+    await this.ensureLoaded();
+
+    const day = UsageTracker.dateKey();
+    const dayStats = this.stats[day] || (this.stats[day] = {});
+    const entry = dayStats[model.id] || (dayStats[model.id] = UsageTracker.emptyTotals());
+
+    entry.requests++;
+    entry.inputTokens += usage.inputTokens;
+    entry.outputTokens += usage.outputTokens;
+    // Days recorded before prompt caching was tracked lack these fields
+    entry.cacheReadTokens = (entry.cacheReadTokens || 0) + (usage.cacheReadTokens || 0);
+    entry.cacheWriteTokens = (entry.cacheWriteTokens || 0) + (usage.cacheWriteTokens || 0);
+    entry.cost += UsageTracker.estimateCost(model.getPricing(config), usage.inputTokens, usage.outputTokens, usage);
+    if (usage.estimated) {
+      entry.estimatedRequests++;
+    }
+
+    await this.saveStatsToStorage();
+  }
+
+  /**
+   * Adds up a model's (or every model's) totals over a date range
+   *
+   * @param {string} fromDay - Inclusive 'YYYY-MM-DD'
+   * @param {string|null} [modelId] - Omit for a per-model breakdown
+   * @returns {Object} Totals, or { [modelId]: totals } without a modelId
+   */
+  sumSince(fromDay, modelId = null) {
+    const totals = {};
+
+    for (const [day, dayStats] of Object.entries(this.stats)) {
+      if (day < fromDay) continue;
+      for (const [id, entry] of Object.entries(dayStats)) {
+        if (modelId && id !== modelId) continue;
+        const total = totals[id] || (totals[id] = UsageTracker.emptyTotals());
+        for (const key of Object.keys(total)) {
+          total[key] += entry[key] || 0;
+        }
+      }
+    }
+
+    if (modelId) {
+      return totals[modelId] || UsageTracker.emptyTotals();
+    }
+    return totals;
+  }
+
+  /**
+   * Checks a request against the model's caps before it is sent.
+   * The projection assumes the response uses all its output tokens,
+   * reasoning included (see BaseModel.getMaxBilledOutputTokens()).
+   * An allowed request's projected cost is reserved until record() or
+   * release() settles it, so requests running in parallel (see SummarizeJob)
+   * count against the cap before any of them has finished.
+   *
+   * @param {BaseModel} model
+   * @param {Object} config
+   * @param {number} inputTokens - Estimated prompt size
+   * @returns {Promise<{allowed: boolean, warning: string|null, reservation: Object|null}>} allowed
+   *   is false (and warning is the reason) if a blocking cap would be exceeded
+   */
+  async checkCaps(model, config, inputTokens) {
+    await this.ensureLoaded();
+
+    const caps = this.caps[model.id];
+    const pricing = model.getPricing(config);
+    if (!caps || !pricing) {
+      return { allowed: true, warning: null, reservation: null };
+    }
+
+    const outputTokens = model.getMaxBilledOutputTokens(config);
+    const projected = UsageTracker.estimateCost(pricing, inputTokens, outputTokens);
+    const inFlight = this.reserved[model.id] || 0;
+    const today = UsageTracker.dateKey();
+    const periods = [
+      { name: 'daily', limit: caps.daily, spent: this.sumSince(today, model.id).cost },
+      { name: 'monthly', limit: caps.monthly, spent: this.sumSince(today.substring(0, 8) + '01', model.id).cost }
+    ];
+
+    let result = { allowed: true, warning: null };
+    for (const { name, limit, spent } of periods) {
+      if (!(limit > 0) || spent + inFlight + projected <= limit) continue;
+
+      const pending = inFlight > 0 ? `, $${inFlight.toFixed(2)} in requests still running` : '';
+      const warning = `${model.displayName} ${name} spending cap of $${limit.toFixed(2)} would be exceeded ` +
+        `($${spent.toFixed(2)} spent${pending}, this request up to $${projected.toFixed(2)})`;
+      result = { allowed: caps.mode !== 'block', warning };
+      break;
+    }
+
+    if (!result.allowed) {
+      return { ...result, reservation: null };
+    }
+    this.reserved[model.id] = inFlight + projected;
+    return { ...result, reservation: { modelId: model.id, cost: projected } };
+  }
+
+  /**
+   * Gives back the cost checkCaps() reserved for a request that won't be
+   * recorded (it failed or was cancelled). Safe to call more than once.
+   *
+   * @param {Object|null} reservation
+   */
+  release(reservation) {
+    if (!reservation || !reservation.cost) return;
+    this.reserved[reservation.modelId] = Math.max(0, (this.reserved[reservation.modelId] || 0) - reservation.cost);
+    reservation.cost = 0;
+  }
+
+  /**
+   * Sets or clears a model's spending caps
+   *
+   * @param {string} modelId
+   * @param {{daily: number|null, monthly: number|null, mode: string}|null} caps - null removes them
+   * @returns {Promise<void>}
+   */
+  async setCaps(modelId, caps) {
+    await this.ensureLoaded();
+
+    if (caps && (caps.daily > 0 || caps.monthly > 0)) {
+      this.caps[modelId] = {
+        daily: caps.daily > 0 ? caps.daily : null,
+        monthly: caps.monthly > 0 ? caps.monthly : null,
+        mode: caps.mode === 'block' ? 'block' : 'warn'
+      };
+    } else {
+      delete this.caps[modelId];
+    }
+
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ usageCaps: this.caps }, () => {
+        console.log(`Saved usage caps for ${modelId}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Returns today's and this month's per-model totals, plus the caps
+   *
+   * @returns {Promise<{today: Object, month: Object, caps: Object}>}
+   */
+  async getSummary() {
+    await this.ensureLoaded();
+
+    const today = UsageTracker.dateKey();
+    return {
+      today: this.sumSince(today),
+      month: this.sumSince(today.substring(0, 8) + '01'),
+      caps: this.caps
+    };
+  }
+
+  /**
+   * Deletes all recorded usage (caps are kept)
+   *
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await this.ensureLoaded();
+    this.stats = {};
+    await this.saveStatsToStorage();
+    console.log('Usage stats reset');
+  }
+}
+
+// Days of history kept; enough for the current and previous month
+UsageTracker.RETENTION_DAYS = 62;
+
+// Create singleton instance
+const usageTracker = new UsageTracker();
@@ -20,8 +20,9 @@ function loadAllModelProvidersForBackground() {
 
   console.log(`Background: Loading ${allProviders.length} model providers (${MODEL_PROVIDERS.length} standard, ${localProviders.length} local)...`);
 
-  // Collect all script paths
-  const scriptPaths = ['models/BaseModel.js'];
+  // Collect all script paths. OpenAICompatibleModel is a shared base for
+  // several providers and backs user-defined endpoint instances.
+  const scriptPaths = ['models/ModelError.js', 'models/BaseModel.js', 'models/OpenAICompatibleModel.js'];
 
   for (const provider of allProviders) {
     scriptPaths.push(provider.scriptPath);
@@ -52,6 +53,8 @@ function loadAllModelProvidersForBackground() {
   console.log('Background: Checking if LMStudioModel is available:', typeof LMStudioModel !== 'undefined');
   console.log('Background: Checking if ClaudeModel is available:', typeof ClaudeModel !== 'undefined');
   console.log('Background: Checking if OpenAIModel is available:', typeof OpenAIModel !== 'undefined');
+  console.log('Background: Checking if OllamaModel is available:', typeof OllamaModel !== 'undefined');
+  console.log('Background: Checking if MockModel is available:', typeof MockModel !== 'undefined');
 }
 
 /**
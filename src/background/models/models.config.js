@@ -9,7 +9,9 @@
 const MODEL_PROVIDERS = [
   { scriptPath: 'models/LMStudioModel.js', className: 'LMStudioModel' },
   { scriptPath: 'models/ClaudeModel.js', className: 'ClaudeModel' },
-  { scriptPath: 'models/OpenAIModel.js', className: 'OpenAIModel' }
+  { scriptPath: 'models/OpenAIModel.js', className: 'OpenAIModel' },
+  { scriptPath: 'models/OllamaModel.js', className: 'OllamaModel' },
+  { scriptPath: 'models/MockModel.js', className: 'MockModel' }
 ];
 
 // Local model providers (*.local.js files are gitignored)
@@ -0,0 +1,157 @@
+/**
+ * BrowserTools - Local tools the chat model can call (see ModelRegistry.chatWithTools())
+ *
+ * Each tool is { name, description, parameters (JSON Schema), run(args) }.
+ * run() returns text for the model; errors it throws are passed back to the
+ * model as a failed tool result. Page text comes from the content script's
+ * get_page_text handler, the same extraction the quick actions use.
+ */
+const BrowserTools = {
+  // Characters of context kept on each side of a search match
+  SNIPPET_RADIUS: 150,
+
+  /**
+   * Gets the ID of the tab the user is looking at
+   * @returns {Promise<number>}
+   */
+  async getActiveTabId() {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab) {
+      throw new Error('No active tab');
+    }
+    return tab.id;
+  },
+
+  /**
+   * Extracts a tab's readable text, falling back to the raw body text on
+   * pages the content script can't reach
+   * @param {number} tabId
+   * @returns {Promise<string>}
+   */
+  async readTabText(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    let text = '';
+
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['libs/Readability.js']
+      });
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'get_page_text' });
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
+      text = (response && response.text) || '';
+    } catch (error) {
+      console.warn(`BrowserTools: get_page_text failed for tab ${tabId}, reading body text:`, error);
+      const [result] = await chrome.scripting.executeScript({
+        target: { tabId },
+        func: () => document.body ? document.body.innerText : ''
+      });
+      text = (result && result.result) || '';
+    }
+
+    if (!text.trim()) {
+      throw new Error('The page has no readable text');
+    }
+    return `Title: ${tab.title || ''}\nURL: ${tab.url || ''}\n\n${text}`;
+  },
+
+  tools: [
+    {
+      name: 'get_page_text',
+      description: 'Get the readable text of the web page the user is currently viewing.',
+      parameters: { type: 'object', properties: {} },
+      async run() {
+        return BrowserTools.readTabText(await BrowserTools.getActiveTabId());
+      }
+    },
+    {
+      name: 'search_page',
+      description: 'Search the current web page for text (case-insensitive) and return the surrounding snippets.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Text to look for' },
+          maxResults: { type: 'integer', description: 'Most matches to return (default 10)' }
+        },
+        required: ['query']
+      },
+      async run({ query, maxResults = 10 }) {
+        if (!query) {
+          throw new Error('query is required');
+        }
+
+        const [result] = await chrome.scripting.executeScript({
+          target: { tabId: await BrowserTools.getActiveTabId() },
+          args: [String(query), Math.max(1, Math.min(Number(maxResults) || 10, 50)), BrowserTools.SNIPPET_RADIUS],
+          func: (needle, limit, radius) => {
+            const text = document.body ? document.body.innerText : '';
+            const haystack = text.toLowerCase();
+            const target = needle.toLowerCase();
+            const snippets = [];
+            let index = haystack.indexOf(target);
+            while (index !== -1 && snippets.length < limit) {
+              const start = Math.max(0, index - radius);
+              const end = Math.min(text.length, index + target.length + radius);
+              snippets.push(text.substring(start, end).replace(/\s+/g, ' ').trim());
+              index = haystack.indexOf(target, end);
+            }
+            return snippets;
+          }
+        });
+
+        const snippets = (result && result.result) || [];
+        if (snippets.length === 0) {
+          return `No matches for "${query}"`;
+        }
+        return snippets.map((snippet, i) => `${i + 1}. …${snippet}…`).join('\n');
+      }
+    },
+    {
+      name: 'get_selection',
+      description: 'Get the text the user has selected on the current web page.',
+      parameters: { type: 'object', properties: {} },
+      async run() {
+        const [result] = await chrome.scripting.executeScript({
+          target: { tabId: await BrowserTools.getActiveTabId() },
+          func: () => String(window.getSelection() || '')
+        });
+        const selection = (result && result.result) || '';
+        return selection.trim() ? selection : 'Nothing is selected';
+      }
+    },
+    {
+      name: 'list_tabs',
+      description: 'List the open browser tabs with their IDs, titles and URLs.',
+      parameters: { type: 'object', properties: {} },
+      async run() {
+        const tabs = await chrome.tabs.query({});
+        const activeTabId = await BrowserTools.getActiveTabId().catch(() => null);
+        return JSON.stringify(tabs.map(tab => ({
+          tabId: tab.id,
+          title: tab.title,
+          url: tab.url,
+          active: tab.id === activeTabId
+        })));
+      }
+    },
+    {
+      name: 'read_tab',
+      description: 'Get the readable text of another open tab. Use list_tabs first to find its ID.',
+      parameters: {
+        type: 'object',
+        properties: {
+          tabId: { type: 'integer', description: 'Tab ID from list_tabs' }
+        },
+        required: ['tabId']
+      },
+      async run({ tabId }) {
+        if (!Number.isInteger(Number(tabId))) {
+          throw new Error('tabId must be a number from list_tabs');
+        }
+        return BrowserTools.readTabText(Number(tabId));
+      }
+    }
+  ]
+};
@@ -5,6 +5,34 @@
  * the model registry that lives in the background service worker.
  */
 
+// Chrome stops an idle background worker after 30 seconds; a message on an
+// open port resets that timer
+const HEARTBEAT_MS = 20000;
+
+// Times waitForJob() reconnects to a restarting worker before giving up
+const JOB_RECONNECT_ATTEMPTS = 5;
+const JOB_RECONNECT_DELAY_MS = 1000;
+
+/**
+ * Creates the error a cancelled chat request rejects with
+ * @returns {Error}
+ */
+function createAbortError() {
+  return createChatError({ error: 'Request cancelled', errorCode: 'ABORTED' });
+}
+
+/**
+ * Rebuilds an error from a background chat failure, keeping its typed
+ * code (see ModelError.Codes) so the UI can explain it
+ * @param {Object} response - Message with `error` and `errorCode`
+ * @returns {Error}
+ */
+function createChatError(response) {
+  const error = new Error(response.error || 'Chat request failed');
+  error.code = response.errorCode || 'UNKNOWN';
+  return error;
+}
+
 const BackgroundAPI = {
   /**
    * Gets list of all available models
@@ -69,6 +97,20 @@ const BackgroundAPI = {
     });
   },
 
+  /**
+   * Lists models a provider can serve (e.g. models installed in Ollama)
+   * @param {string} modelId
+   * @param {Object} config - Configuration to query with (e.g. unsaved base URL)
+   * @returns {Promise<Object>} Returns { options: Array } or { error: string }
+   */
+  async listAvailableModels(modelId, config) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'list_available_models', modelId, config }, (response) => {
+        resolve(response || { error: 'No response' });
+      });
+    });
+  },
+
   /**
    * Saves configuration for a model
    * @param {string} modelId
@@ -83,6 +125,331 @@ const BackgroundAPI = {
     });
   },
 
+  /**
+   * Gets the ordered list of models to fall back to when the current model fails
+   * @returns {Promise<Array<string>>} Model IDs
+   */
+  async getFallbackChain() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'get_fallback_chain' }, (response) => {
+        resolve(response.chain || []);
+      });
+    });
+  },
+
+  /**
+   * Sets the ordered list of fallback models
+   * @param {Array<string>} chain - Model IDs in the order they should be tried
+   * @returns {Promise<boolean>}
+   */
+  async setFallbackChain(chain) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'set_fallback_chain', chain }, (response) => {
+        resolve(response.success || false);
+      });
+    });
+  },
+
+  /**
+   * Gets the task roles and the model assigned to each
+   * @returns {Promise<{roles: Array<string>, assignments: Object}>} assignments maps a
+   *   role to { modelId, overrides }; unassigned roles use the current model
+   */
+  async getTaskModels() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'get_task_models' }, (response) => {
+        resolve({ roles: response.roles || [], assignments: response.assignments || {} });
+      });
+    });
+  },
+
+  /**
+   * Sets the model used for each task role
+   * @param {Object} assignments - Role -> { modelId, overrides: { modelName } }
+   * @returns {Promise<boolean>}
+   */
+  async setTaskModels(assignments) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'set_task_models', assignments }, (response) => {
+        resolve(response.success || false);
+      });
+    });
+  },
+
+  /**
+   * Gets recorded token usage and estimated cost
+   * @returns {Promise<Object>} Returns { today, month, caps, models } where today and
+   *   month map model IDs to { requests, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens,
+   *   cost, estimatedRequests }
+   */
+  async getUsage() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'get_usage' }, (response) => {
+        resolve(response || { today: {}, month: {}, caps: {}, models: [] });
+      });
+    });
+  },
+
+  /**
+   * Sets or clears a model's spending caps
+   * @param {string} modelId
+   * @param {{daily: number|null, monthly: number|null, mode: string}|null} caps - USD; mode is 'warn' or 'block'
+   * @returns {Promise<boolean>}
+   */
+  async setUsageCaps(modelId, caps) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'set_usage_caps', modelId, caps }, (response) => {
+        resolve(response.success || false);
+      });
+    });
+  },
+
+  /**
+   * Deletes all recorded usage
+   * @returns {Promise<boolean>}
+   */
+  async resetUsage() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'reset_usage' }, (response) => {
+        resolve(response.success || false);
+      });
+    });
+  },
+
+  /**
+   * Gets whether the response cache is enabled and how many entries it holds
+   * @returns {Promise<{enabled: boolean, entries: number}>}
+   */
+  async getCacheStatus() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'get_cache_status' }, (response) => {
+        resolve(response || { enabled: false, entries: 0 });
+      });
+    });
+  },
+
+  /**
+   * Turns the response cache on or off
+   * @param {boolean} enabled
+   * @returns {Promise<boolean>}
+   */
+  async setCacheEnabled(enabled) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'set_cache_enabled', enabled }, (response) => {
+        resolve(response.success || false);
+      });
+    });
+  },
+
+  /**
+   * Deletes every cached response
+   * @returns {Promise<boolean>}
+   */
+  async clearCache() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'clear_cache' }, (response) => {
+        resolve(response.success || false);
+      });
+    });
+  },
+
+  /**
+   * Gets whether the key vault is set up and unlocked for this browser session
+   * @returns {Promise<{enabled: boolean, unlocked: boolean}>}
+   */
+  async getVaultStatus() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'get_vault_status' }, (response) => {
+        resolve(response || { enabled: false, unlocked: false });
+      });
+    });
+  },
+
+  /**
+   * Changes the key vault: 'enable' (with a new passphrase), 'unlock'
+   * (with the passphrase), 'lock' or 'disable'
+   * @param {string} operation
+   * @param {string} [passphrase]
+   * @returns {Promise<Object>} Returns { success } or { success: false, error }
+   */
+  async updateVault(operation, passphrase) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: `${operation}_vault`, passphrase }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Builds a settings file for download
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSecrets] - Include API keys, encrypted with the passphrase
+   * @param {string} [options.passphrase]
+   * @returns {Promise<Object>} Returns { success, data } or { success: false, error }
+   */
+  async exportSettings({ includeSecrets = false, passphrase = '' } = {}) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'export_settings', includeSecrets, passphrase }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Describes what importing a settings file would change
+   * @param {Object} data - Parsed settings file
+   * @param {string} [passphrase] - For files with encrypted API keys
+   * @returns {Promise<Object>} Returns { success, preview: { models, settings, secretsLocked } }
+   *   or { success: false, error }
+   */
+  async previewSettingsImport(data, passphrase = '') {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'preview_settings_import', data, passphrase }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Applies a settings file
+   * @param {Object} data - Parsed settings file
+   * @param {string} [passphrase] - For files with encrypted API keys
+   * @returns {Promise<Object>} Returns { success } or { success: false, error }
+   */
+  async importSettings(data, passphrase = '') {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'import_settings', data, passphrase }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Gets the record/replay mode and how many responses are recorded
+   * @returns {Promise<{mode: string, entries: number}>}
+   */
+  async getRecorderStatus() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'get_recorder_status' }, (response) => {
+        resolve(response || { mode: 'off', entries: 0 });
+      });
+    });
+  },
+
+  /**
+   * Switches recording: 'off', 'record' (save every response) or 'replay'
+   * (answer only from saved responses)
+   * @param {string} mode
+   * @returns {Promise<Object>} Returns { success } or { success: false, error }
+   */
+  async setRecorderMode(mode) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'set_recorder_mode', mode }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Gets the recorded responses as a file for download
+   * @returns {Promise<Object>} Returns { success, data }
+   */
+  async exportRecording() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'export_recording' }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Adds the responses from a recording file
+   * @param {Object} data - Parsed recording file
+   * @returns {Promise<Object>} Returns { success, entries } or { success: false, error }
+   */
+  async importRecording(data) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'import_recording', data }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Deletes every recorded response
+   * @returns {Promise<boolean>}
+   */
+  async clearRecording() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'clear_recording' }, (response) => {
+        resolve(response.success || false);
+      });
+    });
+  },
+
+  /**
+   * Gets the model calls logged for the inspector, newest first
+   * @returns {Promise<{enabled: boolean, entries: Array<Object>}>}
+   */
+  async getInspectorLog() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'get_inspector_log' }, (response) => {
+        resolve(response || { enabled: false, entries: [] });
+      });
+    });
+  },
+
+  /**
+   * Turns logging model calls for the inspector on or off (off clears the log)
+   * @param {boolean} enabled
+   * @returns {Promise<Object>} Returns { success } or { success: false, error }
+   */
+  async setInspectorEnabled(enabled) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'set_inspector_enabled', enabled }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Deletes the model calls logged for the inspector
+   * @returns {Promise<boolean>}
+   */
+  async clearInspectorLog() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'clear_inspector_log' }, (response) => {
+        resolve((response && response.success) || false);
+      });
+    });
+  },
+
+  /**
+   * Creates a new named OpenAI-compatible endpoint
+   * @param {string} name - Display name for the endpoint
+   * @returns {Promise<Object>} Returns { success, modelId } or { success: false, error }
+   */
+  async addCustomEndpoint(name) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'add_custom_endpoint', name }, (response) => {
+        resolve(response || { success: false, error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Removes a user-defined endpoint and its configuration
+   * @param {string} modelId
+   * @returns {Promise<boolean>}
+   */
+  async removeCustomEndpoint(modelId) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'remove_custom_endpoint', modelId }, (response) => {
+        resolve(response.success || false);
+      });
+    });
+  },
+
   /**
    * Validates configuration for a model
    * @param {string} modelId
@@ -98,24 +465,253 @@ const BackgroundAPI = {
   },
 
   /**
-   * Makes a chat request using the current model
+   * Runs connection diagnostics for a model
+   * @param {string} modelId
+   * @param {Object} config - Configuration to test (may be unsaved)
+   * @returns {Promise<Object>} Returns { result } or { error: string }
+   */
+  async testConnection(modelId, config) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'test_connection', modelId, config }, (response) => {
+        resolve(response || { error: 'No response' });
+      });
+    });
+  },
+
+  /**
+   * Cancels the chat requests made by a tab's content scripts (e.g. a running action)
+   * @param {number} tabId
+   * @returns {Promise<number>} Number of requests cancelled
+   */
+  async cancelTabChats(tabId) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'cancel_chat', tabId }, (response) => {
+        resolve((response && response.cancelled) || 0);
+      });
+    });
+  },
+
+  /**
+   * Makes a streaming multi-turn chat request using the current model.
+   * Opens a long-lived port to the background and calls onToken for
+   * each text fragment as the model produces it.
    * @param {string} systemPrompt
-   * @param {string} userPrompt
-   * @returns {Promise<string>}
+   * @param {Array<{role: string, content: string}>} messages - 'user'/'assistant' turns; user
+   *   turns may carry `images: [{ mediaType, data }]` (base64) for vision models, and earlier
+   *   tool turns from onToolMessages can be sent back as they came
+   * @param {Function} onToken - Called with each text fragment
+   * @param {Object} [options]
+   * @param {string} [options.task] - Task role, routed to the model assigned to it if any
+   * @param {string} [options.component] - What is making the request, shown in the inspector
+   * @param {string} [options.context] - Stable context the conversation is about (page text),
+   *   kept apart from the messages so repeated questions can be prompt-cached
+   * @param {Object} [options.generation] - Generation parameters for this request, e.g. { temperature: 0 }
+   * @param {boolean} [options.sensitive] - Only fall back to local models
+   * @param {Function} [options.onModelUsed] - Called with { id, displayName, isFallback } for the model that answered
+   * @param {boolean} [options.useTools] - Let the model call the browser tools (see BrowserTools)
+   * @param {Function} [options.onToolCall] - Called with { name, arguments } each time the model runs a tool
+   * @param {Function} [options.onToolMessages] - Called at the end with the tool-call and tool-result
+   *   turns of this answer, to keep in the history before it
+   * @param {Function} [options.onReasoning] - Called with each fragment of the model's reasoning ("thinking")
+   * @param {AbortSignal} [options.signal] - Cancels the request; disconnecting the port stops the background
+   * @returns {Promise<string>} The complete response, without reasoning
    */
-  async chat(systemPrompt, userPrompt) {
+  async chatStream(systemPrompt, messages, onToken, options = {}) {
+    const { signal } = options;
+
     return new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const port = chrome.runtime.connect({ name: 'chat_stream' });
+      let settled = false;
+
+      // Keeps the worker awake through slow responses
+      const heartbeat = setInterval(() => port.postMessage({ type: 'heartbeat' }), HEARTBEAT_MS);
+      const finish = () => {
+        settled = true;
+        clearInterval(heartbeat);
+        port.disconnect();
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          if (settled) return;
+          finish();
+          reject(createAbortError());
+        }, { once: true });
+      }
+
+      port.onMessage.addListener((message) => {
+        if (message.type === 'token') {
+          if (!settled) onToken(message.token);
+        } else if (message.type === 'reasoning') {
+          if (!settled && options.onReasoning) options.onReasoning(message.text);
+        } else if (message.type === 'tool') {
+          if (!settled && options.onToolCall) options.onToolCall(message.call);
+        } else if (message.type === 'done') {
+          finish();
+          if (message.model && options.onModelUsed) {
+            options.onModelUsed(message.model);
+          }
+          if (message.toolMessages && message.toolMessages.length > 0 && options.onToolMessages) {
+            options.onToolMessages(message.toolMessages);
+          }
+          resolve(message.response);
+        } else if (message.type === 'error') {
+          finish();
+          reject(createChatError(message));
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        clearInterval(heartbeat);
+        if (!settled) {
+          reject(new Error('Lost connection to background while streaming'));
+        }
+      });
+
+      port.postMessage({
         action: 'chat',
         systemPrompt,
-        userPrompt
-      }, (response) => {
-        if (response.success) {
-          resolve(response.response);
+        messages,
+        context: options.context,
+        task: options.task,
+        component: options.component,
+        generation: options.generation,
+        sensitive: !!options.sensitive,
+        useTools: !!options.useTools
+      });
+    });
+  },
+
+  /**
+   * Starts a background job, which keeps running if the panel closes and
+   * resumes if the browser stops the background worker
+   * @param {string} type - Job type, e.g. 'summarize' (params: { text })
+   * @param {Object} params
+   * @param {string} [label] - Shown when the panel reattaches to the job
+   * @returns {Promise<Object>} The job: { id, type, label, status, progress, ... }
+   */
+  async startJob(type, params, label = '') {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: 'start_job', type, params, label }, (response) => {
+        if (response && response.success) {
+          resolve(response.job);
         } else {
-          reject(new Error(response.error || 'Chat request failed'));
+          reject(new Error((response && response.error) || 'Could not start the job'));
         }
       });
     });
+  },
+
+  /**
+   * Lists the panel's background jobs that are running or whose result it
+   * hasn't collected yet, e.g. after it was closed and reopened
+   * @returns {Promise<Array<Object>>}
+   */
+  async listJobs() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'list_jobs' }, (response) => {
+        resolve((response && response.jobs) || []);
+      });
+    });
+  },
+
+  /**
+   * Follows a background job until it finishes. Reconnects if the worker
+   * restarts, and sends heartbeats so it isn't stopped while the job runs.
+   * @param {string} jobId
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with { done, total, text } as the job progresses
+   * @param {AbortSignal} [options.signal] - Cancels the job
+   * @returns {Promise<*>} The job's result
+   * @throws {Error} With the job's error code if it failed or was cancelled
+   */
+  async waitForJob(jobId, options = {}) {
+    const { signal, onProgress } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      let port = null;
+      let settled = false;
+      let reconnects = 0;
+
+      const heartbeat = setInterval(() => {
+        if (port) port.postMessage({ type: 'heartbeat' });
+      }, HEARTBEAT_MS);
+      const finish = () => {
+        settled = true;
+        clearInterval(heartbeat);
+        if (port) port.disconnect();
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          if (settled) return;
+          finish();
+          chrome.runtime.sendMessage({ action: 'cancel_job', jobId });
+          reject(createAbortError());
+        }, { once: true });
+      }
+
+      const connect = () => {
+        port = chrome.runtime.connect({ name: 'job_watch' });
+
+        port.onMessage.addListener(({ job }) => {
+          if (settled) return;
+          reconnects = 0;
+          if (!job) {
+            finish();
+            reject(new Error('The background job was lost. Try again.'));
+          } else if (job.status === 'running') {
+            if (job.progress && onProgress) onProgress(job.progress);
+          } else if (job.status === 'done') {
+            finish();
+            resolve(job.result);
+          } else {
+            finish();
+            reject(createChatError(job));
+          }
+        });
+
+        port.onDisconnect.addListener(() => {
+          if (settled) return;
+          port = null;
+          // The worker was stopped; connecting starts it again, and it resumes the job
+          if (reconnects++ < JOB_RECONNECT_ATTEMPTS) {
+            setTimeout(connect, JOB_RECONNECT_DELAY_MS);
+          } else {
+            finish();
+            reject(new Error('Lost connection to background while waiting for the job'));
+          }
+        });
+
+        port.postMessage({ action: 'watch', jobId });
+      };
+
+      connect();
+    });
+  },
+
+  /**
+   * Starts a background job and waits for its result
+   * @param {string} type - See startJob()
+   * @param {Object} params
+   * @param {Object} [options]
+   * @param {string} [options.label] - Shown when the panel reattaches to the job
+   * @param {Function} [options.onProgress] - Called with { done, total, text } as the job progresses
+   * @param {AbortSignal} [options.signal] - Cancels the job
+   * @returns {Promise<*>} The job's result
+   */
+  async runJob(type, params, options = {}) {
+    const job = await this.startJob(type, params, options.label);
+    return this.waitForJob(job.id, options);
   }
 };
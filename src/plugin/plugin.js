@@ -14,12 +14,10 @@
  * and sanitizing it before insertion.
  */
 function renderContent(element, content) {
+  // No logging here: streaming re-renders the whole growing answer every frame
   try {
-    console.log(`renderContent: raw content: ${content}`);
     const rawHtml = marked.parse(content);
-    console.log(`renderContent: output of marked: ${rawHtml}`);
     const safeHtml = DOMPurify.sanitize(rawHtml, { USE_PROFILES: { html: true } });
-    console.log(`renderContent: output of DOMPurify: ${safeHtml}`);
     element.innerHTML = safeHtml;
   } catch (error) {
     console.log(`renderContent: error: ${error}`);
@@ -28,17 +26,161 @@ function renderContent(element, content) {
 }
 
 /**
- * Splits a long string of text into smaller chunks.
- * @param {string} text
- * @param {number} maxLength - Maximum characters per chunk
- * @returns {string[]}
+ * Creates a collapsible section for a model's reasoning ("thinking"),
+ * which the background keeps separate from the answer
+ * @returns {{element: HTMLElement, append: Function, finish: Function}}
  */
-function chunkText(text, maxLength = 10000) {
-  const chunks = [];
-  for (let i = 0; i < text.length; i += maxLength) {
-    chunks.push(text.substring(i, i + maxLength));
+function createReasoningSection() {
+  const element = document.createElement('details');
+  element.className = 'reasoning';
+  const summary = document.createElement('summary');
+  summary.textContent = '💭 Thinking…';
+  const content = document.createElement('div');
+  content.className = 'reasoning-content';
+  element.append(summary, content);
+
+  return {
+    element,
+    append(text) {
+      content.textContent += text;
+    },
+    finish() {
+      content.textContent = content.textContent.trim();
+      summary.textContent = '💭 Reasoning';
+    }
+  };
+}
+
+/**
+ * What the user can do about each typed model error (see ModelError.Codes)
+ */
+const MODEL_ERROR_HINTS = {
+  AUTH: 'Check the API key in the model configuration (⚙️).',
+  FORBIDDEN: 'The key may not have access to this model, or a local server is blocking the extension (CORS).',
+  NOT_FOUND: 'Check the base URL and model name in the model configuration (⚙️).',
+  CONTEXT_TOO_LONG: 'The conversation is too long for this model. Clear the chat or pick a model with a larger context.',
+  RATE_LIMITED: 'The provider is rate limiting requests. Wait a minute and try again.',
+  QUOTA_EXCEEDED: 'Your account is out of credit or quota. Check billing with the provider.',
+  OVERLOADED: 'The provider is overloaded right now. Try again shortly or add a fallback model.',
+  SERVER_ERROR: 'The provider had an internal error. Try again shortly.',
+  TIMEOUT: 'The request timed out. Try again.',
+  NETWORK: 'Could not reach the model. Check your connection, or that the local server is running.',
+  BUDGET_EXCEEDED: 'A spending cap blocked this request. Raise or remove it in the usage view (📊), or add a fallback model.',
+  INVALID_OUTPUT: 'The model didn\'t return the structured answer this needs. Try again, or pick a more capable model.',
+  UNSUPPORTED_INPUT: 'This model can\'t read images. Pick a vision model (Claude, GPT-4o or newer, or a local one such as llava) or add one as a fallback.',
+  VAULT_LOCKED: 'Your API keys are encrypted. Unlock the key vault with your passphrase in the model configuration (⚙️).',
+  REPLAY_MISS: 'Nothing was recorded for this request. Record it again, turn replay off in the model configuration (⚙️), or add a rule to the mock script.'
+};
+
+/**
+ * Names of the task roles in the model configuration (see ModelRegistry.TASK_ROLES)
+ */
+const TASK_ROLE_LABELS = {
+  intent: 'Intent',
+  plan: 'Planning',
+  summarize: 'Summaries',
+  chat: 'Chat',
+  compose: 'Writing'
+};
+
+/**
+ * Renders a chat error into a message element, with a hint based on its code
+ * @param {HTMLElement} element - Message element to render into
+ * @param {Error} error - Error from BackgroundAPI, optionally with a `code`
+ */
+function renderChatError(element, error) {
+  element.textContent = `Error: ${error.message}`;
+
+  const hint = MODEL_ERROR_HINTS[error.code];
+  if (hint) {
+    const hintEl = document.createElement('span');
+    hintEl.className = 'error-hint';
+    hintEl.textContent = hint;
+    element.appendChild(hintEl);
   }
-  return chunks;
+}
+
+/**
+ * Saves data as a dated JSON file in the downloads folder
+ * @param {Object} data
+ * @param {string} baseName - File name without the date and extension
+ */
+function downloadJSON(data, baseName) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${baseName}-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Describes a tool call from the model for the chat activity line
+ * @param {{name: string, arguments: Object}} call - See BrowserTools in the background
+ * @returns {string}
+ */
+function describeToolCall(call) {
+  const args = call.arguments || {};
+  switch (call.name) {
+    case 'get_page_text': return 'Reading the page';
+    case 'search_page': return `Searching the page for "${args.query || ''}"`;
+    case 'get_selection': return 'Reading the selected text';
+    case 'list_tabs': return 'Listing open tabs';
+    case 'read_tab': return `Reading tab ${args.tabId}`;
+    default: return `Running ${call.name}`;
+  }
+}
+
+// Stands in for a tool result dropped from the chat history; the model can run the tool again
+const TRIMMED_TOOL_RESULT = '[Result removed to save space. Run the tool again if it is still needed.]';
+
+/**
+ * Keeps a chat history within a token budget by clearing the oldest tool
+ * results (page text, other tabs) first. The history is changed in place, so
+ * a result is cleared once and later requests share the shortened history,
+ * which the provider's prompt cache can match again.
+ * @param {Array<Object>} history - Role-tagged messages, including 'tool' results
+ * @param {number} budgetTokens
+ */
+function trimToolResults(history, budgetTokens) {
+  let total = history.reduce((sum, m) => sum + TokenBudget.estimateTokens(m.content), 0);
+  for (const message of history) {
+    if (total <= budgetTokens) return;
+    if (message.role !== 'tool' || message.content === TRIMMED_TOOL_RESULT) continue;
+    total -= TokenBudget.estimateTokens(message.content) - TokenBudget.estimateTokens(TRIMMED_TOOL_RESULT);
+    message.content = TRIMMED_TOOL_RESULT;
+  }
+}
+
+/**
+ * Creates a renderer that re-renders partial markdown into an element as
+ * streamed tokens arrive. Renders are batched to one per animation frame.
+ * @param {HTMLElement} element - Message element to render into
+ * @param {Function} onRender - Called after each render (e.g. to scroll)
+ * @returns {{append: Function, stop: Function}}
+ */
+function createStreamingRenderer(element, onRender) {
+  let text = '';
+  let frameId = null;
+
+  return {
+    append(token) {
+      text += token;
+      if (frameId !== null) return;
+      frameId = requestAnimationFrame(() => {
+        frameId = null;
+        renderContent(element, text);
+        if (onRender) onRender();
+      });
+    },
+    // Cancels any pending render so a final render isn't overwritten
+    stop() {
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+      }
+    }
+  };
 }
 
 /* =========================
@@ -52,14 +194,48 @@ class ConfigurationUI {
     this.configFields = document.getElementById('config-fields');
     this.configSaveBtn = document.getElementById('config-save');
     this.configCancelBtn = document.getElementById('config-cancel');
+    this.configTestBtn = document.getElementById('config-test');
+    this.configTestResult = document.getElementById('config-test-result');
     this.configCloseBtn = document.getElementById('config-close');
     this.configureBtn = document.getElementById('configure-btn');
     this.configWarning = document.getElementById('config-warning');
     this.configWarningBtn = document.getElementById('config-warning-btn');
+    this.addEndpointBtn = document.getElementById('config-add-endpoint');
+    this.removeEndpointBtn = document.getElementById('config-remove-endpoint');
+    this.fallbackList = document.getElementById('config-fallback-list');
+    this.taskList = document.getElementById('config-task-list');
+    this.cacheEnabledInput = document.getElementById('config-cache-enabled');
+    this.vaultStatus = document.getElementById('config-vault-status');
+    this.vaultPassphraseInput = document.getElementById('config-vault-passphrase');
+    this.vaultConfirmInput = document.getElementById('config-vault-confirm');
+    this.vaultButtons = {
+      enable: document.getElementById('config-vault-enable'),
+      unlock: document.getElementById('config-vault-unlock'),
+      lock: document.getElementById('config-vault-lock'),
+      disable: document.getElementById('config-vault-disable')
+    };
+    this.clearCacheBtn = document.getElementById('config-clear-cache');
+    this.exportSecretsInput = document.getElementById('config-export-secrets');
+    this.transferPassphraseInput = document.getElementById('config-transfer-passphrase');
+    this.exportBtn = document.getElementById('config-export');
+    this.importBtn = document.getElementById('config-import');
+    this.importFileInput = document.getElementById('config-import-file');
+    this.importPreview = document.getElementById('config-import-preview');
+    this.importActions = document.getElementById('config-import-actions');
+    this.importApplyBtn = document.getElementById('config-import-apply');
+    this.importCancelBtn = document.getElementById('config-import-cancel');
+    this.recorderModeSelect = document.getElementById('config-recorder-mode');
+    this.recorderStatus = document.getElementById('config-recorder-status');
+    this.recordingExportBtn = document.getElementById('config-recording-export');
+    this.recordingImportBtn = document.getElementById('config-recording-import');
+    this.recordingFileInput = document.getElementById('config-recording-file');
+    this.recordingClearBtn = document.getElementById('config-recording-clear');
 
     this.currentModelId = null;
     this.tempConfig = {};
+    this.pendingImport = null; // Parsed settings file awaiting confirmation
     this.onConfigChanged = null; // Callback for when config is saved
+    this.onModelsChanged = null; // Callback for when models are added or removed
 
     this.initEventListeners();
   }
@@ -83,9 +259,103 @@ class ConfigurationUI {
     if (this.configSaveBtn) {
       this.configSaveBtn.addEventListener('click', () => this.save());
     }
+    if (this.configTestBtn) {
+      this.configTestBtn.addEventListener('click', () => this.testConnection());
+    }
     if (this.configWarningBtn) {
       this.configWarningBtn.addEventListener('click', () => this.show());
     }
+    if (this.addEndpointBtn) {
+      this.addEndpointBtn.addEventListener('click', () => this.addEndpoint());
+    }
+    if (this.removeEndpointBtn) {
+      this.removeEndpointBtn.addEventListener('click', () => this.removeEndpoint());
+    }
+    if (this.cacheEnabledInput) {
+      this.cacheEnabledInput.addEventListener('change', () => {
+        BackgroundAPI.setCacheEnabled(this.cacheEnabledInput.checked);
+      });
+    }
+    if (this.clearCacheBtn) {
+      this.clearCacheBtn.addEventListener('click', () => this.clearCache());
+    }
+    for (const [operation, button] of Object.entries(this.vaultButtons)) {
+      if (button) {
+        button.addEventListener('click', () => this.updateVault(operation));
+      }
+    }
+    if (this.exportBtn) {
+      this.exportBtn.addEventListener('click', () => this.exportSettings());
+    }
+    if (this.importBtn) {
+      this.importBtn.addEventListener('click', () => this.importFileInput.click());
+    }
+    if (this.importFileInput) {
+      this.importFileInput.addEventListener('change', () => this.readImportFile());
+    }
+    if (this.transferPassphraseInput) {
+      // Encrypted API keys in a pending import can only be previewed with the passphrase
+      this.transferPassphraseInput.addEventListener('change', () => {
+        if (this.pendingImport) this.renderImportPreview();
+      });
+    }
+    if (this.importApplyBtn) {
+      this.importApplyBtn.addEventListener('click', () => this.applyImport());
+    }
+    if (this.importCancelBtn) {
+      this.importCancelBtn.addEventListener('click', () => this.cancelImport());
+    }
+    if (this.recorderModeSelect) {
+      this.recorderModeSelect.addEventListener('change', () => this.setRecorderMode());
+    }
+    if (this.recordingExportBtn) {
+      this.recordingExportBtn.addEventListener('click', () => this.exportRecording());
+    }
+    if (this.recordingImportBtn) {
+      this.recordingImportBtn.addEventListener('click', () => this.recordingFileInput.click());
+    }
+    if (this.recordingFileInput) {
+      this.recordingFileInput.addEventListener('change', () => this.importRecording());
+    }
+    if (this.recordingClearBtn) {
+      this.recordingClearBtn.addEventListener('click', () => this.clearRecording());
+    }
+  }
+
+  /**
+   * Prompts for a name, creates a new OpenAI-compatible endpoint,
+   * selects it and opens its configuration
+   */
+  async addEndpoint() {
+    const name = prompt('Name for the new endpoint (e.g. "vLLM box"):');
+    if (!name || !name.trim()) return;
+
+    const result = await BackgroundAPI.addCustomEndpoint(name);
+    if (!result.success) {
+      alert(result.error || 'Could not add endpoint');
+      return;
+    }
+
+    await BackgroundAPI.setCurrentModel(result.modelId);
+    if (this.onModelsChanged) {
+      await this.onModelsChanged();
+    }
+    await this.show(result.modelId);
+  }
+
+  /**
+   * Removes the user-defined endpoint currently shown in the panel
+   */
+  async removeEndpoint() {
+    if (!this.currentModelId) return;
+    if (!confirm('Remove this endpoint and its configuration?')) return;
+
+    await BackgroundAPI.removeCustomEndpoint(this.currentModelId);
+    this.hide();
+
+    if (this.onModelsChanged) {
+      await this.onModelsChanged();
+    }
   }
 
   /**
@@ -159,18 +429,487 @@ class ConfigurationUI {
     // Render description
     this.configDescription.textContent = modelInfo.description;
 
+    // Only user-defined endpoints can be removed
+    this.removeEndpointBtn.classList.toggle('visible', !!modelInfo.isCustomEndpoint);
+
     // Get and render config fields
     const fields = await BackgroundAPI.getConfigFields(this.currentModelId);
     this.renderFields(fields);
 
+    await this.renderTaskModels(models);
+    await this.renderFallbackChain(models);
+    await this.renderCacheStatus();
+    await this.renderVaultStatus();
+    await this.renderRecorderStatus();
+
     // Show panel
     console.log('Showing config panel');
+    this.configTestResult.classList.remove('visible');
     this.configPanel.classList.add('visible');
   }
 
   hide() {
     this.configPanel.classList.remove('visible');
+    this.configTestResult.classList.remove('visible');
     this.tempConfig = {};
+    this.cancelImport();
+  }
+
+  /**
+   * Renders a model picker and model name override for each task role.
+   * Changes are saved immediately.
+   * @param {Array<Object>} models - Models from getModelList()
+   */
+  async renderTaskModels(models) {
+    const { roles, assignments } = await BackgroundAPI.getTaskModels();
+
+    this.taskList.innerHTML = '';
+    for (const role of roles) {
+      const assignment = assignments[role];
+      const row = document.createElement('div');
+      row.className = 'task-row';
+      row.dataset.role = role;
+
+      const label = document.createElement('span');
+      label.textContent = TASK_ROLE_LABELS[role] || role;
+
+      const select = document.createElement('select');
+      select.add(new Option('Current model', ''));
+      for (const model of models) {
+        select.add(new Option(model.displayName, model.id));
+      }
+      select.value = assignment ? assignment.modelId : '';
+
+      const modelName = document.createElement('input');
+      modelName.type = 'text';
+      modelName.placeholder = 'Model name (optional)';
+      modelName.value = (assignment && assignment.overrides.modelName) || '';
+      modelName.disabled = !select.value;
+
+      select.addEventListener('change', () => {
+        modelName.disabled = !select.value;
+        this.saveTaskModels();
+      });
+      modelName.addEventListener('change', () => this.saveTaskModels());
+
+      row.append(label, select, modelName);
+      this.taskList.appendChild(row);
+    }
+  }
+
+  /**
+   * Saves the task model editor; roles left on "Current model" are unassigned
+   */
+  async saveTaskModels() {
+    const assignments = {};
+    for (const row of this.taskList.querySelectorAll('.task-row')) {
+      const modelId = row.querySelector('select').value;
+      if (modelId) {
+        assignments[row.dataset.role] = { modelId, overrides: { modelName: row.querySelector('input').value } };
+      }
+    }
+    await BackgroundAPI.setTaskModels(assignments);
+  }
+
+  /**
+   * Renders the fallback chain editor: chained models first in order,
+   * then the rest unchecked. Changes are saved immediately.
+   * @param {Array<Object>} models - Models from getModelList()
+   */
+  async renderFallbackChain(models) {
+    const chain = await BackgroundAPI.getFallbackChain();
+    const ordered = [
+      ...chain.map(id => models.find(m => m.id === id)).filter(Boolean),
+      ...models.filter(m => !chain.includes(m.id))
+    ];
+
+    this.fallbackList.innerHTML = '';
+    for (const model of ordered) {
+      const row = document.createElement('div');
+      row.className = 'fallback-row';
+      row.dataset.modelId = model.id;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = chain.includes(model.id);
+      checkbox.addEventListener('change', () => this.saveFallbackChain());
+
+      const name = document.createElement('span');
+      name.textContent = model.requiresInternet ? model.displayName : `${model.displayName} · local`;
+
+      const upBtn = document.createElement('button');
+      upBtn.type = 'button';
+      upBtn.className = 'config-refresh-btn';
+      upBtn.textContent = '↑';
+      upBtn.title = 'Try earlier';
+      upBtn.addEventListener('click', () => {
+        if (row.previousElementSibling) {
+          row.parentElement.insertBefore(row, row.previousElementSibling);
+          this.saveFallbackChain();
+        }
+      });
+
+      const downBtn = document.createElement('button');
+      downBtn.type = 'button';
+      downBtn.className = 'config-refresh-btn';
+      downBtn.textContent = '↓';
+      downBtn.title = 'Try later';
+      downBtn.addEventListener('click', () => {
+        if (row.nextElementSibling) {
+          row.parentElement.insertBefore(row.nextElementSibling, row);
+          this.saveFallbackChain();
+        }
+      });
+
+      row.append(checkbox, name, upBtn, downBtn);
+      this.fallbackList.appendChild(row);
+    }
+  }
+
+  /**
+   * Shows whether the response cache is on and how many answers it holds
+   */
+  async renderCacheStatus() {
+    const status = await BackgroundAPI.getCacheStatus();
+    this.cacheEnabledInput.checked = status.enabled;
+    this.clearCacheBtn.textContent = `Clear cache (${status.entries})`;
+    this.clearCacheBtn.disabled = status.entries === 0;
+  }
+
+  /**
+   * Shows the key vault state and the controls that apply to it
+   */
+  async renderVaultStatus() {
+    const { enabled, unlocked } = await BackgroundAPI.getVaultStatus();
+
+    if (!enabled) {
+      this.vaultStatus.textContent = 'Off: API keys are stored unencrypted in this browser profile.';
+    } else if (unlocked) {
+      this.vaultStatus.textContent = '🔓 On and unlocked until the browser closes.';
+    } else {
+      this.vaultStatus.textContent = '🔒 Locked: enter your passphrase to use models with API keys.';
+    }
+
+    this.vaultPassphraseInput.hidden = enabled && unlocked;
+    this.vaultConfirmInput.hidden = enabled;
+    this.vaultButtons.enable.hidden = enabled;
+    this.vaultButtons.unlock.hidden = !enabled || unlocked;
+    this.vaultButtons.lock.hidden = !enabled || !unlocked;
+    this.vaultButtons.disable.hidden = !enabled || !unlocked;
+    this.vaultPassphraseInput.value = '';
+    this.vaultConfirmInput.value = '';
+  }
+
+  /**
+   * Enables, unlocks, locks or turns off the key vault, then reloads the
+   * form since locking and unlocking change which API keys can be shown
+   * @param {string} operation - 'enable', 'unlock', 'lock' or 'disable'
+   */
+  async updateVault(operation) {
+    const passphrase = this.vaultPassphraseInput.value;
+
+    if (operation === 'enable' && passphrase !== this.vaultConfirmInput.value) {
+      this.vaultStatus.textContent = 'The passphrases don\'t match.';
+      return;
+    }
+    if (operation === 'disable' && !confirm('Store API keys unencrypted again?')) {
+      return;
+    }
+
+    const result = await BackgroundAPI.updateVault(operation, passphrase);
+    if (!result.success) {
+      this.vaultStatus.textContent = result.error;
+      this.vaultPassphraseInput.value = '';
+      return;
+    }
+
+    await this.show(this.currentModelId);
+    await this.updateConfigurationStatus();
+  }
+
+  /**
+   * Deletes every cached response
+   */
+  async clearCache() {
+    this.clearCacheBtn.disabled = true;
+    await BackgroundAPI.clearCache();
+    await this.renderCacheStatus();
+  }
+
+  /**
+   * Downloads the settings as a JSON file
+   */
+  async exportSettings() {
+    const result = await BackgroundAPI.exportSettings({
+      includeSecrets: this.exportSecretsInput.checked,
+      passphrase: this.transferPassphraseInput.value
+    });
+    if (!result.success) {
+      this.showImportMessage(result.error);
+      return;
+    }
+
+    downloadJSON(result.data, 'browser-assistant-settings');
+    this.showImportMessage(result.data.secrets.mode === 'encrypted'
+      ? 'Exported with encrypted API keys. You need the passphrase to import them.'
+      : 'Exported without API keys.');
+  }
+
+  /**
+   * Reads the chosen settings file and previews the import
+   */
+  async readImportFile() {
+    const file = this.importFileInput.files[0];
+    this.importFileInput.value = '';
+    if (!file) return;
+
+    try {
+      this.pendingImport = JSON.parse(await file.text());
+    } catch (error) {
+      this.cancelImport();
+      this.showImportMessage(`Could not read ${file.name}: ${error.message}`);
+      return;
+    }
+    await this.renderImportPreview();
+  }
+
+  /**
+   * Shows what the pending import would change, with validation errors
+   * per model, and offers to apply it
+   */
+  async renderImportPreview() {
+    const result = await BackgroundAPI.previewSettingsImport(this.pendingImport, this.transferPassphraseInput.value);
+    if (!result.success) {
+      this.showImportMessage(result.error);
+      this.importActions.hidden = true;
+      return;
+    }
+
+    const { models, settings, secretsLocked } = result.preview;
+    const statusText = {
+      new: 'new',
+      changed: 'changed',
+      unchanged: 'unchanged',
+      unknown: 'not available in this version, skipped'
+    };
+
+    this.importPreview.innerHTML = '';
+    const modelList = document.createElement('ul');
+    for (const model of models) {
+      const item = document.createElement('li');
+      const changes = model.status === 'changed' ? `: ${model.changes.join(', ')}` : '';
+      item.textContent = `${model.displayName} (${statusText[model.status]})${changes}`;
+      for (const error of model.errors) {
+        const errorEl = document.createElement('div');
+        errorEl.className = 'import-error';
+        errorEl.textContent = `⚠️ ${error}`;
+        item.appendChild(errorEl);
+      }
+      modelList.appendChild(item);
+    }
+    this.importPreview.append(`Models (${models.length}):`, modelList);
+
+    if (settings.length > 0) {
+      const settingsList = document.createElement('ul');
+      for (const change of settings) {
+        const item = document.createElement('li');
+        item.textContent = change;
+        settingsList.appendChild(item);
+      }
+      this.importPreview.append('Other settings:', settingsList);
+    }
+    if (secretsLocked) {
+      const note = document.createElement('div');
+      note.className = 'import-error';
+      note.textContent = 'This file has encrypted API keys. Enter its passphrase above to import them; otherwise your current keys are kept.';
+      this.importPreview.appendChild(note);
+    }
+
+    this.importPreview.hidden = false;
+    this.importActions.hidden = false;
+  }
+
+  /**
+   * Applies the pending import and reloads the panel
+   */
+  async applyImport() {
+    this.importApplyBtn.disabled = true;
+    const result = await BackgroundAPI.importSettings(this.pendingImport, this.transferPassphraseInput.value);
+    this.importApplyBtn.disabled = false;
+    if (!result.success) {
+      this.showImportMessage(result.error);
+      return;
+    }
+
+    this.cancelImport();
+    if (this.onModelsChanged) {
+      await this.onModelsChanged();
+    }
+    await this.show();
+    await this.updateConfigurationStatus();
+    this.showImportMessage('Settings imported.');
+  }
+
+  /**
+   * Discards the pending import
+   */
+  cancelImport() {
+    this.pendingImport = null;
+    this.transferPassphraseInput.value = '';
+    this.importPreview.hidden = true;
+    this.importActions.hidden = true;
+  }
+
+  /**
+   * Shows a one-line result or error in the backup section
+   * @param {string} text
+   */
+  showImportMessage(text) {
+    this.importPreview.textContent = text;
+    this.importPreview.hidden = false;
+  }
+
+  /**
+   * Shows the record/replay mode and how many responses are recorded
+   */
+  async renderRecorderStatus() {
+    const { mode, entries } = await BackgroundAPI.getRecorderStatus();
+    const count = `${entries} recorded response${entries === 1 ? '' : 's'}`;
+
+    this.recorderModeSelect.value = mode;
+    if (mode === 'replay') {
+      this.recorderStatus.textContent = `▶️ Replaying ${count}. No model is called.`;
+    } else if (mode === 'record') {
+      this.recorderStatus.textContent = `⏺️ Recording: ${count} so far. The response cache is skipped.`;
+    } else {
+      this.recorderStatus.textContent = `${count[0].toUpperCase()}${count.slice(1)}.`;
+    }
+    this.recordingExportBtn.disabled = entries === 0;
+    this.recordingClearBtn.disabled = entries === 0;
+  }
+
+  /**
+   * Switches to the mode picked in the record/replay section
+   */
+  async setRecorderMode() {
+    const result = await BackgroundAPI.setRecorderMode(this.recorderModeSelect.value);
+    if (!result.success) {
+      this.recorderStatus.textContent = result.error;
+      return;
+    }
+    await this.renderRecorderStatus();
+  }
+
+  /**
+   * Downloads the recorded responses
+   */
+  async exportRecording() {
+    const result = await BackgroundAPI.exportRecording();
+    if (result.success) {
+      downloadJSON(result.data, 'browser-assistant-recording');
+    }
+  }
+
+  /**
+   * Adds the responses from the chosen recording file
+   */
+  async importRecording() {
+    const file = this.recordingFileInput.files[0];
+    this.recordingFileInput.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.recorderStatus.textContent = `Could not read ${file.name}: ${error.message}`;
+      return;
+    }
+
+    const result = await BackgroundAPI.importRecording(data);
+    if (!result.success) {
+      this.recorderStatus.textContent = result.error;
+      return;
+    }
+    await this.renderRecorderStatus();
+  }
+
+  /**
+   * Deletes every recorded response
+   */
+  async clearRecording() {
+    if (!confirm('Delete every recorded response?')) return;
+    await BackgroundAPI.clearRecording();
+    await this.renderRecorderStatus();
+  }
+
+  /**
+   * Saves the checked models in the fallback editor, in displayed order
+   */
+  async saveFallbackChain() {
+    const chain = Array.from(this.fallbackList.querySelectorAll('.fallback-row'))
+      .filter(row => row.querySelector('input').checked)
+      .map(row => row.dataset.modelId);
+    await BackgroundAPI.setFallbackChain(chain);
+  }
+
+  /**
+   * Tests the connection with the values currently in the form
+   * and shows what worked, what didn't, and how to fix it
+   */
+  async testConnection() {
+    if (!this.currentModelId) return;
+
+    const modelId = this.currentModelId;
+    this.configTestBtn.disabled = true;
+    this.configTestResult.textContent = 'Testing connection...';
+    this.configTestResult.classList.add('visible');
+
+    const response = await BackgroundAPI.testConnection(modelId, this.tempConfig);
+    this.configTestBtn.disabled = false;
+
+    // Panel may have been closed or switched to another model meanwhile
+    if (this.currentModelId !== modelId) return;
+
+    this.configTestResult.innerHTML = '';
+    if (response.error) {
+      this.addTestLine(false, response.error);
+      return;
+    }
+
+    const result = response.result;
+    const latency = result.latencyMs !== null ? ` (${result.latencyMs} ms)` : '';
+    this.addTestLine(result.reachable, result.reachable ? `Server reachable${latency}` : 'Server not reachable');
+    if (result.authOk !== null) {
+      this.addTestLine(result.authOk, result.authOk ? 'Authentication accepted' : 'Authentication failed');
+    }
+    if (result.modelExists !== null) {
+      this.addTestLine(result.modelExists, result.modelExists ? 'Model found' : 'Model not found');
+    }
+    if (result.contextSize) {
+      this.addTestLine(true, `Context size: ${result.contextSize.toLocaleString()} tokens`);
+    }
+    if (result.error) {
+      this.addTestLine(false, result.error);
+    }
+    if (result.fix) {
+      const fixEl = document.createElement('div');
+      fixEl.className = 'test-fix';
+      fixEl.textContent = `💡 ${result.fix}`;
+      this.configTestResult.appendChild(fixEl);
+    }
+  }
+
+  /**
+   * Appends a pass/fail line to the test result box
+   * @param {boolean} ok
+   * @param {string} text
+   */
+  addTestLine(ok, text) {
+    const line = document.createElement('div');
+    line.className = ok ? 'test-line' : 'test-line test-fail';
+    line.textContent = `${ok ? '✓' : '✗'} ${text}`;
+    this.configTestResult.appendChild(line);
   }
 
   /**
@@ -190,6 +929,17 @@ class ConfigurationUI {
       label.setAttribute('for', `config-${field.name}`);
       fieldDiv.appendChild(label);
 
+      // Fields filled from the provider get a refresh button next to the label
+      let refreshBtn = null;
+      if (field.dynamicOptions) {
+        refreshBtn = document.createElement('button');
+        refreshBtn.type = 'button';
+        refreshBtn.className = 'config-refresh-btn';
+        refreshBtn.textContent = '↻';
+        refreshBtn.title = 'Refresh list from provider';
+        label.appendChild(refreshBtn);
+      }
+
       // Input element
       let input;
       if (field.type === 'select') {
@@ -200,10 +950,18 @@ class ConfigurationUI {
           optEl.textContent = option.label;
           input.appendChild(optEl);
         }
+      } else if (field.type === 'textarea') {
+        input = document.createElement('textarea');
+        input.rows = field.rows || 8;
+        input.placeholder = field.placeholder || '';
+        input.spellcheck = false;
       } else {
         input = document.createElement('input');
         input.type = field.type || 'text';
         input.placeholder = field.placeholder || '';
+        for (const attribute of ['min', 'max', 'step']) {
+          if (field[attribute] !== undefined) input[attribute] = field[attribute];
+        }
       }
 
       input.id = `config-${field.name}`;
@@ -234,6 +992,68 @@ class ConfigurationUI {
       }
 
       this.configFields.appendChild(fieldDiv);
+
+      // Fill options that come from the provider (e.g. installed models).
+      // Text fields keep free entry and get the list as suggestions.
+      if (field.dynamicOptions) {
+        if (field.type !== 'select') {
+          const datalist = document.createElement('datalist');
+          datalist.id = `config-${field.name}-options`;
+          input.setAttribute('list', datalist.id);
+          fieldDiv.appendChild(datalist);
+        }
+        refreshBtn.addEventListener('click', () => this.loadDynamicOptions(field, input));
+        this.loadDynamicOptions(field, input);
+      }
+    }
+  }
+
+  /**
+   * Fills a field's options from the provider's live model list.
+   * Falls back to the field's static options if the provider can't be
+   * reached, and keeps the current value selectable either way.
+   * @param {Object} field - Field definition
+   * @param {HTMLSelectElement|HTMLInputElement} input - The rendered input element
+   */
+  async loadDynamicOptions(field, input) {
+    const modelId = this.currentModelId;
+    const fieldDiv = input.parentElement;
+    const isSelect = input.tagName === 'SELECT';
+
+    fieldDiv.querySelector('.options-error')?.remove();
+    input.disabled = true;
+    const response = await BackgroundAPI.listAvailableModels(modelId, this.tempConfig);
+    input.disabled = false;
+
+    // Panel may have been closed or switched to another model meanwhile
+    if (this.currentModelId !== modelId || !input.isConnected) return;
+
+    const currentValue = this.tempConfig[field.name] || '';
+    const options = [...(response.options || field.options || [])];
+
+    if (isSelect && currentValue && !options.some(o => o.value === currentValue)) {
+      options.unshift({ value: currentValue, label: currentValue });
+    }
+
+    const container = isSelect ? input : document.getElementById(input.getAttribute('list'));
+    container.innerHTML = '';
+    for (const option of options) {
+      const optEl = document.createElement('option');
+      optEl.value = option.value;
+      optEl.textContent = option.label;
+      container.appendChild(optEl);
+    }
+
+    if (isSelect && options.length > 0) {
+      input.value = currentValue || options[0].value;
+      this.tempConfig[field.name] = input.value;
+    }
+
+    if (response.error) {
+      const errorEl = document.createElement('div');
+      errorEl.className = 'error-text options-error';
+      errorEl.textContent = `Could not load models, showing defaults: ${response.error}`;
+      fieldDiv.appendChild(errorEl);
     }
   }
 
@@ -264,8 +1084,12 @@ class ConfigurationUI {
       return;
     }
 
-    // Save configuration via background API
-    await BackgroundAPI.saveModelConfig(this.currentModelId, this.tempConfig);
+    // Save configuration via background API (fails for a new key while the vault is locked)
+    const saved = await BackgroundAPI.saveModelConfig(this.currentModelId, this.tempConfig);
+    if (!saved) {
+      alert('Could not save the configuration. If the key vault is locked, unlock it first.');
+      return;
+    }
 
     console.log(`Configuration saved for ${this.currentModelId}`);
 
@@ -282,58 +1106,430 @@ class ConfigurationUI {
 }
 
 /* =========================
-   Summarization Functions
+   Usage UI
+   ========================= */
+
+class UsageUI {
+  constructor() {
+    this.usagePanel = document.getElementById('usage-panel');
+    this.usageBtn = document.getElementById('usage-btn');
+    this.usageCloseBtn = document.getElementById('usage-close');
+    this.todayEl = document.getElementById('usage-today');
+    this.monthEl = document.getElementById('usage-month');
+    this.capsList = document.getElementById('usage-caps-list');
+    this.saveCapsBtn = document.getElementById('usage-save-caps');
+    this.resetBtn = document.getElementById('usage-reset');
+    this.usageWarning = document.getElementById('usage-warning');
+    this.usageWarningText = document.getElementById('usage-warning-text');
+    this.usageWarningBtn = document.getElementById('usage-warning-btn');
+
+    this.initEventListeners();
+  }
+
+  initEventListeners() {
+    this.usageBtn.addEventListener('click', () => {
+      if (this.usagePanel.classList.contains('visible')) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    });
+    this.usageCloseBtn.addEventListener('click', () => this.hide());
+    this.saveCapsBtn.addEventListener('click', () => this.saveCaps());
+    this.resetBtn.addEventListener('click', () => this.reset());
+    this.usageWarningBtn.addEventListener('click', () => {
+      this.usageWarning.classList.remove('visible');
+      this.show();
+    });
+
+    // The background reports requests that went over a warn-only cap
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.action === 'usage_warning') {
+        this.usageWarningText.textContent = message.warning;
+        this.usageWarning.classList.add('visible');
+      }
+    });
+  }
+
+  /**
+   * Loads usage from the background and shows the panel
+   */
+  async show() {
+    const usage = await BackgroundAPI.getUsage();
+    const priced = new Set(usage.models.filter(m => m.priced).map(m => m.id));
+    const names = new Map(usage.models.map(m => [m.id, m.displayName]));
+
+    this.renderTable(this.todayEl, usage.today, names, priced);
+    this.renderTable(this.monthEl, usage.month, names, priced);
+    this.renderCaps(usage.models.filter(m => m.priced), usage.caps);
+
+    this.usagePanel.classList.add('visible');
+  }
+
+  hide() {
+    this.usagePanel.classList.remove('visible');
+  }
+
+  /**
+   * Renders per-model totals as a table
+   * @param {HTMLElement} container
+   * @param {Object} totals - Model ID -> { requests, inputTokens, outputTokens, cacheReadTokens, cost, estimatedRequests }
+   * @param {Map<string, string>} names - Model ID -> display name
+   * @param {Set<string>} priced - IDs of models with known pricing
+   */
+  renderTable(container, totals, names, priced) {
+    container.innerHTML = '';
+
+    const entries = Object.entries(totals);
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'usage-empty';
+      empty.textContent = 'No requests yet.';
+      container.appendChild(empty);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'usage-table';
+    const header = table.insertRow();
+    for (const title of ['Model', 'Requests', 'Input', 'Cached', 'Output', 'Cost']) {
+      const th = document.createElement('th');
+      th.textContent = title;
+      header.appendChild(th);
+    }
+
+    for (const [modelId, total] of entries) {
+      const approx = total.estimatedRequests > 0 ? '~' : '';
+      const row = table.insertRow();
+      const cells = [
+        names.get(modelId) || modelId,
+        total.requests.toLocaleString(),
+        approx + total.inputTokens.toLocaleString(),
+        (total.cacheReadTokens || 0).toLocaleString(),
+        approx + total.outputTokens.toLocaleString(),
+        priced.has(modelId) || total.cost > 0 ? UsageUI.formatCost(total.cost) : '—'
+      ];
+      for (const text of cells) {
+        row.insertCell().textContent = text;
+      }
+    }
+
+    container.appendChild(table);
+  }
+
+  /**
+   * Renders a row of cap inputs for each model with known pricing
+   * @param {Array<Object>} models - Models from getUsage()
+   * @param {Object} caps - Model ID -> { daily, monthly, mode }
+   */
+  renderCaps(models, caps) {
+    this.capsList.innerHTML = '';
+
+    for (const model of models) {
+      const cap = caps[model.id] || {};
+      const row = document.createElement('div');
+      row.className = 'usage-cap-row';
+      row.dataset.modelId = model.id;
+
+      const name = document.createElement('span');
+      name.textContent = model.displayName;
+
+      const daily = document.createElement('input');
+      daily.type = 'number';
+      daily.min = '0';
+      daily.step = '0.01';
+      daily.placeholder = 'Daily';
+      daily.title = 'Daily cap in USD';
+      daily.name = 'daily';
+      daily.value = cap.daily ?? '';
+
+      const monthly = document.createElement('input');
+      monthly.type = 'number';
+      monthly.min = '0';
+      monthly.step = '0.01';
+      monthly.placeholder = 'Monthly';
+      monthly.title = 'Monthly cap in USD';
+      monthly.name = 'monthly';
+      monthly.value = cap.monthly ?? '';
+
+      const mode = document.createElement('select');
+      mode.name = 'mode';
+      for (const [value, label] of [['warn', 'Warn'], ['block', 'Block']]) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = (cap.mode || 'warn') === value;
+        mode.appendChild(option);
+      }
+
+      row.append(name, daily, monthly, mode);
+      this.capsList.appendChild(row);
+    }
+  }
+
+  /**
+   * Saves the caps entered for every model
+   */
+  async saveCaps() {
+    for (const row of this.capsList.querySelectorAll('.usage-cap-row')) {
+      await BackgroundAPI.setUsageCaps(row.dataset.modelId, {
+        daily: parseFloat(row.querySelector('[name="daily"]').value) || null,
+        monthly: parseFloat(row.querySelector('[name="monthly"]').value) || null,
+        mode: row.querySelector('[name="mode"]').value
+      });
+    }
+    console.log('Usage caps saved');
+    await this.show();
+  }
+
+  /**
+   * Deletes all recorded usage after confirming
+   */
+  async reset() {
+    if (!confirm('Delete all recorded usage? Spending caps are kept.')) return;
+    await BackgroundAPI.resetUsage();
+    await this.show();
+  }
+
+  /**
+   * Formats a USD amount, showing small non-zero amounts as "<$0.01"
+   * @param {number} cost
+   * @returns {string}
+   */
+  static formatCost(cost) {
+    if (cost > 0 && cost < 0.01) return '<$0.01';
+    return `$${cost.toFixed(2)}`;
+  }
+}
+
+/* =========================
+   Inspector UI
    ========================= */
 
 /**
- * Generates a full summary by processing text chunk-by-chunk.
- * @param {string} fullText
- * @returns {Promise<string>}
+ * Shows the model calls the background logged (see ModelInspector): who
+ * asked, the full prompt, the raw response, latency, tokens and errors.
+ * Logging is opt-in; each call can be exported as JSON for a bug report.
  */
-async function generateFullSummary(fullText) {
-  console.log("Entering generateFullSummary...");
+class InspectorUI {
+  constructor() {
+    this.panel = document.getElementById('inspector-panel');
+    this.inspectorBtn = document.getElementById('inspector-btn');
+    this.closeBtn = document.getElementById('inspector-close');
+    this.enabledCheckbox = document.getElementById('inspector-enabled');
+    this.searchInput = document.getElementById('inspector-search');
+    this.filterSelect = document.getElementById('inspector-filter');
+    this.refreshBtn = document.getElementById('inspector-refresh');
+    this.clearBtn = document.getElementById('inspector-clear');
+    this.list = document.getElementById('inspector-list');
+
+    this.entries = [];
 
-  const systemPrompt = `Summarize the webpage text chunk. Keep only the main content and critical info.
-Ignore/omit: navigation/menus, ads, headers/footers, sidebars, boilerplate, and bottom thumbnail/related sections.
-If the chunk is mostly low-information or boilerplate, output: NO_CONTENT.`;
+    this.initEventListeners();
+  }
 
-  // Get the configured chunk size for the current model
-  const config = await BackgroundAPI.getModelConfig();
-  const chunkSize = parseInt(config.chunkSize) || 50000;
-  console.log(`Using chunk size: ${chunkSize} characters`);
+  initEventListeners() {
+    this.inspectorBtn.addEventListener('click', () => {
+      if (this.panel.classList.contains('visible')) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    });
+    this.closeBtn.addEventListener('click', () => this.hide());
+    this.refreshBtn.addEventListener('click', () => this.show());
+    this.enabledCheckbox.addEventListener('change', () => this.setEnabled(this.enabledCheckbox.checked));
+    this.clearBtn.addEventListener('click', async () => {
+      await BackgroundAPI.clearInspectorLog();
+      await this.show();
+    });
+    this.searchInput.addEventListener('input', () => this.renderEntries());
+    this.filterSelect.addEventListener('change', () => this.renderEntries());
+  }
 
-  const chunks = chunkText(fullText, chunkSize);
-  const chunkSummaries = [];
+  /**
+   * Loads the log from the background and shows the panel
+   */
+  async show() {
+    const log = await BackgroundAPI.getInspectorLog();
+    this.entries = log.entries;
+    this.enabledCheckbox.checked = log.enabled;
+    this.renderFilterOptions();
+    this.renderEntries();
+    this.panel.classList.add('visible');
+  }
 
-  for (let i = 0; i < chunks.length; i++) {
-    console.log(`Summarizing chunk ${i + 1} of ${chunks.length}...`);
-    try {
-      const summary = await BackgroundAPI.chat(systemPrompt, chunks[i]);
-      console.log("this is the summary: " + summary);
-      if (summary) chunkSummaries.push(summary);
-    } catch (error) {
-      console.error(`Error summarizing chunk ${i + 1}:`, error);
-      chunkSummaries.push(`[Error summarizing this section: ${error.message}]`);
+  hide() {
+    this.panel.classList.remove('visible');
+  }
+
+  /**
+   * Turns logging on or off
+   * @param {boolean} enabled
+   */
+  async setEnabled(enabled) {
+    const result = await BackgroundAPI.setInspectorEnabled(enabled);
+    if (!result.success) {
+      console.error('Could not change the inspector setting:', result.error);
     }
+    await this.show();
   }
 
-  if (chunkSummaries.length > 1) {
-    console.log('Combining chunk summaries into a final report...');
-    const combineSystemPrompt = `Merge the partial summaries into one cohesive, well-structured summary.
-Remove repeats. Preserve key facts/findings/conclusions.
-Output ONLY the final summary in Markdown (use concise bullets where helpful). No preface or meta text.`;
+  /**
+   * Offers a filter for errors and for each component in the log
+   */
+  renderFilterOptions() {
+    const selected = this.filterSelect.value;
+    const components = [...new Set(this.entries.map(entry => entry.component))].sort();
+
+    this.filterSelect.innerHTML = '';
+    const options = [['', 'All calls'], ['error', 'Errors only'], ...components.map(c => [`component:${c}`, c])];
+    for (const [value, label] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.filterSelect.appendChild(option);
+    }
+    this.filterSelect.value = options.some(([value]) => value === selected) ? selected : '';
+  }
 
-    const combineUserPrompt = `${chunkSummaries.join('\n\n---\n\n')}`;
+  /**
+   * Lists the calls matching the search text and filter
+   */
+  renderEntries() {
+    const query = this.searchInput.value.trim().toLowerCase();
+    const filter = this.filterSelect.value;
+
+    const entries = this.entries.filter((entry) => {
+      if (filter === 'error' && !entry.error) return false;
+      if (filter.startsWith('component:') && entry.component !== filter.slice('component:'.length)) return false;
+      return !query || JSON.stringify(entry).toLowerCase().includes(query);
+    });
 
-    try {
-      return await BackgroundAPI.chat(combineSystemPrompt, combineUserPrompt);
-    } catch (error) {
-      console.error('Error combining summaries:', error);
-      return chunkSummaries.join('\n\n---\n\n');
+    this.list.innerHTML = '';
+    if (entries.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'usage-empty';
+      empty.textContent = !this.enabledCheckbox.checked
+        ? 'Logging is off. Turn it on, then repeat what went wrong.'
+        : this.entries.length === 0 ? 'No model calls logged yet.' : 'No calls match.';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    for (const entry of entries) {
+      this.list.appendChild(this.renderEntry(entry));
     }
   }
 
-  return chunkSummaries[0] || 'Could not generate a summary.';
+  /**
+   * Renders one call: a one-line summary that expands to the full exchange
+   * @param {Object} entry - See ModelInspector.log()
+   * @returns {HTMLElement}
+   */
+  renderEntry(entry) {
+    const details = document.createElement('details');
+    details.className = 'inspector-entry';
+    if (entry.error) details.classList.add('inspector-error');
+
+    const summary = document.createElement('summary');
+    summary.textContent = InspectorUI.describe(entry);
+    details.appendChild(summary);
+
+    // Prompts and responses can be long; render them only when expanded
+    details.addEventListener('toggle', () => {
+      if (!details.open || details.childElementCount > 1) return;
+
+      for (const message of entry.messages) {
+        const extras = [
+          message.name ? `tool ${message.name}` : '',
+          message.images ? `${message.images} image${message.images === 1 ? '' : 's'}` : '',
+          message.toolCalls ? `calls ${message.toolCalls.map(c => c.name).join(', ')}` : ''
+        ].filter(Boolean);
+        this.appendSection(details, `${message.role}${extras.length ? ` (${extras.join(', ')})` : ''}`, message.content);
+      }
+      if (entry.tools.length > 0) this.appendSection(details, 'Tools offered', entry.tools.join(', '));
+      if (entry.generation) this.appendSection(details, 'Generation', JSON.stringify(entry.generation));
+      if (entry.reasoning) this.appendSection(details, 'Reasoning', entry.reasoning);
+      if (entry.response !== null) this.appendSection(details, 'Raw response', entry.response);
+      if (entry.toolCalls) this.appendSection(details, 'Tool calls', JSON.stringify(entry.toolCalls, null, 2));
+      if (entry.error) this.appendSection(details, `Error (${entry.error.code})`, entry.error.message);
+
+      const exportBtn = document.createElement('button');
+      exportBtn.type = 'button';
+      exportBtn.className = 'btn btn-secondary';
+      exportBtn.textContent = 'Export JSON';
+      exportBtn.addEventListener('click', () => downloadJSON(entry, `model-call-${entry.id}`));
+      details.appendChild(exportBtn);
+    });
+
+    return details;
+  }
+
+  /**
+   * Adds a labeled block of preformatted text
+   * @param {HTMLElement} container
+   * @param {string} label
+   * @param {string} text
+   */
+  appendSection(container, label, text) {
+    const heading = document.createElement('div');
+    heading.className = 'inspector-label';
+    heading.textContent = label;
+    const body = document.createElement('pre');
+    body.className = 'inspector-text';
+    body.textContent = text;
+    container.append(heading, body);
+  }
+
+  /**
+   * Summarizes a call in one line, e.g.
+   * "14:02:11 · IntentParser · intent · Claude · 1.2 s · 850 → 40 tokens"
+   * @param {Object} entry
+   * @returns {string}
+   */
+  static describe(entry) {
+    const source = entry.source === 'cache' ? 'Response cache'
+      : entry.model ? `${entry.model.displayName}${entry.isFallback ? ' (fallback)' : ''}` : entry.source;
+    const parts = [
+      new Date(entry.time).toLocaleTimeString(),
+      entry.component,
+      entry.task,
+      source,
+      entry.latencyMs ? `${(entry.latencyMs / 1000).toFixed(1)} s` : null,
+      entry.usage ? `${entry.usage.estimated ? '~' : ''}${entry.usage.inputTokens} → ${entry.usage.outputTokens} tokens` : null,
+      entry.usage && entry.usage.cacheReadTokens ? `${entry.usage.cacheReadTokens} cached` : null,
+      entry.error ? `✗ ${entry.error.code}` : null
+    ];
+    return parts.filter(Boolean).join(' · ');
+  }
+}
+
+/* =========================
+   Summarization Functions
+   ========================= */
+
+/**
+ * Generates a full summary by processing text chunk-by-chunk, several chunks
+ * at a time as the summarizing model allows. Runs as a background job (see
+ * SummarizeJob), so it survives the panel closing and the background worker
+ * being stopped.
+ * @param {string} fullText
+ * @param {AbortSignal} [signal] - Cancels the chunks in flight and all remaining ones
+ * @param {Function} [onProgress] - Called with { done, total, text } after each chunk,
+ *   text being e.g. 'chunk 3/10 done', and once more before the summaries are combined
+ * @returns {Promise<string>}
+ * @throws {Error} With code 'ABORTED' if cancelled
+ */
+async function generateFullSummary(fullText, signal, onProgress) {
+  console.log("Entering generateFullSummary...");
+
+  const result = await BackgroundAPI.runJob('summarize', { text: fullText }, {
+    label: 'Summarizing the page',
+    signal,
+    onProgress
+  });
+  return result.text;
 }
 
 /* =========================
@@ -444,15 +1640,16 @@ async function populateModelDropdown(selectEl, configUI) {
   // Update configuration status for initial model
   await configUI.updateConfigurationStatus();
 
-  // Listen to changes
-  selectEl.addEventListener('change', async (e) => {
+  // Listen to changes (assigned rather than added, since the dropdown is
+  // repopulated when endpoints are added or removed)
+  selectEl.onchange = async (e) => {
     const selectedId = e.target.value;
     await BackgroundAPI.setCurrentModel(selectedId);
     console.log(`Model switched to: ${selectedId}`);
 
     // Update configuration status when model changes
     await configUI.updateConfigurationStatus();
-  });
+  };
 }
 
 /* =========================
@@ -582,6 +1779,7 @@ async function ensureContentScriptsInjected() {
       'src/content/pdf-extractor.js',
       'src/content/google-workspace-extractor.js',
       'src/content/content.js',
+      'src/shared/TokenBudget.js',
       'src/actions/base/BaseAction.js',
       'src/actions/core/AccessibilityScanner.js',
       'src/actions/core/IntentParser.js',
@@ -625,7 +1823,7 @@ async function ensureContentScriptsInjected() {
       ...registryScripts
     ];
 
-    console.log(`Injecting ${contentScriptFiles.length} scripts (saved ${19 - contentScriptFiles.length} unnecessary scripts)`);
+    console.log(`Injecting ${contentScriptFiles.length} scripts (saved ${20 - contentScriptFiles.length} unnecessary scripts)`);
 
     // Inject all content scripts in order
     // Using default ISOLATED world to match manifest content_scripts behavior
@@ -684,6 +1882,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     const chatBox = document.getElementById('chat-box');
     const form = document.getElementById('chat-form');
     const promptField = document.getElementById('prompt');
+    const screenshotBtn = document.getElementById('screenshot-btn');
     const chatLoader = document.getElementById('chat-loader');
     const modelSelect = document.getElementById('model-select');
     const pageIndicator = document.getElementById('current-page-indicator');
@@ -731,19 +1930,97 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize configuration UI
     const configUI = new ConfigurationUI();
 
+    // Initialize usage view and spending cap warnings
+    new UsageUI();
+
+    // Initialize the model call inspector
+    new InspectorUI();
+
     // --- UI State Helper Functions ---
     const setChatLoading = (isLoading) => {
       chatLoader.style.display = isLoading ? 'block' : 'none';
     };
     const setChatDisabled = (isDisabled) => {
       promptField.disabled = isDisabled;
-      form.querySelector('button').disabled = isDisabled;
+      form.querySelector('button[type="submit"]').disabled = isDisabled;
+      screenshotBtn.disabled = isDisabled;
       promptField.placeholder = isDisabled ? 'Please wait...' : 'Ask anything…';
     };
 
-    // Conversation history for multi-turn chat
+    // While a request runs, the send button becomes a Stop button that calls onStop
+    let stopCurrentRequest = null;
+    const setChatBusy = (onStop) => {
+      stopCurrentRequest = onStop;
+      form.classList.toggle('busy', !!onStop);
+    };
+    document.getElementById('stop-btn').addEventListener('click', () => {
+      if (stopCurrentRequest) {
+        console.log('Stopping current request');
+        stopCurrentRequest();
+      }
+    });
+
+    /**
+     * Marks an action result as answered from the response cache, with a
+     * Regenerate button that runs it again without the cache
+     * @param {HTMLElement} messageDiv
+     * @param {Function} regenerate - Runs the action again with bypassCache set
+     */
+    const addCachedLabel = (messageDiv, regenerate) => {
+      const label = document.createElement('span');
+      label.className = 'model-label';
+      label.textContent = 'Cached answer ·';
+
+      const regenerateBtn = document.createElement('button');
+      regenerateBtn.type = 'button';
+      regenerateBtn.className = 'regenerate-btn';
+      regenerateBtn.textContent = 'Regenerate';
+      regenerateBtn.addEventListener('click', () => {
+        label.remove();
+        regenerate();
+      });
+
+      label.appendChild(regenerateBtn);
+      messageDiv.appendChild(label);
+    };
+
+    // Conversation history for multi-turn chat, as role-tagged messages
     let conversationHistory = [];
 
+    // Screenshot to send with the next message, as { mediaType, data, dataUrl }
+    let pendingScreenshot = null;
+    const attachmentPreview = document.getElementById('attachment-preview');
+
+    const setPendingScreenshot = (screenshot) => {
+      pendingScreenshot = screenshot;
+      document.getElementById('attachment-thumbnail').src = screenshot ? screenshot.dataUrl : '';
+      attachmentPreview.classList.toggle('visible', !!screenshot);
+    };
+
+    screenshotBtn.addEventListener('click', async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        // JPEG keeps high-DPI captures well under provider image size limits
+        const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'jpeg', quality: 80 });
+        const [, mediaType, data] = dataUrl.match(/^data:([^;]+);base64,(.*)$/);
+        setPendingScreenshot({ mediaType, data, dataUrl });
+        console.log(`Captured screenshot of tab ${tab.id} (${Math.round(data.length / 1024)} KB)`);
+        promptField.focus();
+      } catch (error) {
+        console.error('Error capturing screenshot:', error);
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'chat-message ai-message';
+        errorDiv.textContent = `Could not capture this tab: ${error.message}`;
+        chatBox.appendChild(errorDiv);
+        chatBox.scrollTop = chatBox.scrollHeight;
+      }
+    });
+
+    document.getElementById('attachment-remove').addEventListener('click', () => {
+      setPendingScreenshot(null);
+      promptField.focus();
+    });
+
     // Function to update current page indicator
     async function updatePageIndicator() {
       try {
@@ -808,21 +2085,27 @@ document.addEventListener('DOMContentLoaded', async () => {
           button.appendChild(icon);
           button.appendChild(label);
 
-          // Add click handler to trigger action
-          button.addEventListener('click', async () => {
+          // Runs the action; Regenerate runs it again without the response cache
+          const runQuickAction = async (bypassCache = false) => {
             console.log('Quick action clicked:', action.key);
             // Trigger the action via background
             try {
               setChatDisabled(true);
               button.disabled = true;
 
+              // Stop cancels the model calls the action makes from the page
+              const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+              setChatBusy(() => BackgroundAPI.cancelTabChats(tab.id));
+
               const result = await chrome.runtime.sendMessage({
                 action: 'execute_action',
                 actionKey: action.key,
-                userInput: '' // Quick actions don't need user input
+                userInput: '', // Quick actions don't need user input
+                bypassCache
               });
 
               button.disabled = false;
+              setChatBusy(null);
               setChatDisabled(false);
 
               if (result.success) {
@@ -840,15 +2123,18 @@ document.addEventListener('DOMContentLoaded', async () => {
                 } else {
                   messageDiv.textContent = displayMessage;
                 }
+                if (result.cached) {
+                  addCachedLabel(messageDiv, () => runQuickAction(true));
+                }
 
                 chatBox.appendChild(messageDiv);
                 chatBox.scrollTop = chatBox.scrollHeight;
 
                 // Add to conversation history so it can be used as context for future chat
-                conversationHistory.push({
-                  user: `[Action: ${action.name}]`,
-                  assistant: displayMessage
-                });
+                conversationHistory.push(
+                  { role: 'user', content: `[Action: ${action.name}]` },
+                  { role: 'assistant', content: displayMessage }
+                );
               } else {
                 console.error('Action failed:', result.message);
 
@@ -864,6 +2150,7 @@ document.addEventListener('DOMContentLoaded', async () => {
             } catch (error) {
               console.error('Error executing quick action:', error);
               button.disabled = false;
+              setChatBusy(null);
               setChatDisabled(false);
 
               // Add error to chat box
@@ -873,7 +2160,10 @@ document.addEventListener('DOMContentLoaded', async () => {
               chatBox.appendChild(errorDiv);
               chatBox.scrollTop = chatBox.scrollHeight;
             }
-          });
+          };
+
+          // Add click handler to trigger action
+          button.addEventListener('click', () => runQuickAction());
 
           quickActionsContainer.appendChild(button);
         });
@@ -907,6 +2197,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Populate model dropdown
     await populateModelDropdown(modelSelect, configUI);
 
+    // Repopulate when endpoints are added or removed in the config panel
+    configUI.onModelsChanged = async () => {
+      await populateModelDropdown(modelSelect, configUI);
+    };
+
     // Check if current model is configured
     const isConfigured = await configUI.isCurrentModelConfigured();
 
@@ -920,108 +2215,223 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Enable chat immediately
     promptField.focus();
 
+    /**
+     * Runs a chat command as an action in the current tab and shows the result.
+     * Goes through the background, which reports whether the answer was cached.
+     * @param {string} command - What the user typed
+     * @param {boolean} [bypassCache=false] - Regenerate instead of reusing a cached answer
+     */
+    const runActionCommand = async (command, bypassCache = false) => {
+      const actionResponse = await chrome.runtime.sendMessage({
+        action: 'execute_action',
+        command,
+        bypassCache
+      });
+
+      // Add action result to chatbox
+      const actionMessageDiv = document.createElement('div');
+      actionMessageDiv.className = 'chat-message ai-message';
+
+      if (actionResponse.success) {
+        actionMessageDiv.textContent = `✓ ${actionResponse.message}`;
+        if (actionResponse.cached) {
+          addCachedLabel(actionMessageDiv, async () => {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            setChatDisabled(true);
+            setChatLoading(true);
+            setChatBusy(() => BackgroundAPI.cancelTabChats(tab.id));
+            try {
+              await runActionCommand(command, true);
+            } catch (error) {
+              console.error('Error regenerating action:', error);
+            }
+            setChatBusy(null);
+            setChatLoading(false);
+            setChatDisabled(false);
+          });
+        }
+      } else {
+        // Use message field for errors (consistent with content.js response format)
+        const errorMessage = actionResponse.message || actionResponse.error || 'Action failed';
+        actionMessageDiv.textContent = `✗ ${errorMessage}`;
+      }
+
+      chatBox.appendChild(actionMessageDiv);
+      chatBox.scrollTop = chatBox.scrollHeight;
+    };
+
     // Set up unified chat handler
     form.onsubmit = async (e) => {
       e.preventDefault();
-      const userPrompt = promptField.value.trim();
+      const screenshot = pendingScreenshot;
+      const userPrompt = promptField.value.trim() || (screenshot ? 'What does this screenshot show?' : '');
       if (!userPrompt) return;
 
       // Add user message to chatbox
       const userMessageDiv = document.createElement('div');
       userMessageDiv.className = 'chat-message user-message';
-      userMessageDiv.textContent = userPrompt;
+      if (screenshot) {
+        const image = document.createElement('img');
+        image.className = 'message-image';
+        image.src = screenshot.dataUrl;
+        image.alt = 'Screenshot';
+        userMessageDiv.appendChild(image);
+      }
+      userMessageDiv.appendChild(document.createTextNode(userPrompt));
       chatBox.appendChild(userMessageDiv);
       promptField.value = '';
+      setPendingScreenshot(null);
       setChatDisabled(true);
       setChatLoading(true);
 
-      // Check if this is an action command
-      try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        const isActionResponse = await chrome.tabs.sendMessage(tab.id, {
-          action: 'is_action_command',
-          input: userPrompt
-        });
-
-        if (isActionResponse && isActionResponse.isAction) {
-          console.log('Detected action command, routing to action system');
-
-          // Execute action in content script
-          const actionResponse = await chrome.tabs.sendMessage(tab.id, {
-            action: 'execute_action',
-            command: userPrompt
+      // Check if this is an action command (questions about a screenshot never are)
+      if (!screenshot) {
+        try {
+          const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+          setChatBusy(() => BackgroundAPI.cancelTabChats(tab.id));
+          const isActionResponse = await chrome.tabs.sendMessage(tab.id, {
+            action: 'is_action_command',
+            input: userPrompt
           });
 
-          // Add action result to chatbox
-          const actionMessageDiv = document.createElement('div');
-          actionMessageDiv.className = 'chat-message ai-message';
+          if (isActionResponse && isActionResponse.isAction) {
+            console.log('Detected action command, routing to action system');
+            await runActionCommand(userPrompt);
 
-          if (actionResponse.success) {
-            actionMessageDiv.textContent = `✓ ${actionResponse.message}`;
-          } else {
-            // Use message field for errors (consistent with content.js response format)
-            const errorMessage = actionResponse.message || actionResponse.error || 'Action failed';
-            actionMessageDiv.textContent = `✗ ${errorMessage}`;
+            // Re-enable chat
+            setChatBusy(null);
+            setChatLoading(false);
+            setChatDisabled(false);
+            promptField.focus();
+            return; // Don't proceed to regular chat
           }
-
-          chatBox.appendChild(actionMessageDiv);
-          chatBox.scrollTop = chatBox.scrollHeight;
-
-          // Re-enable chat
-          setChatLoading(false);
-          setChatDisabled(false);
-          promptField.focus();
-          return; // Don't proceed to regular chat
+        } catch (error) {
+          console.log('Action check failed, proceeding as regular chat:', error);
+          // If action check fails, proceed with regular chat
         }
-      } catch (error) {
-        console.log('Action check failed, proceeding as regular chat:', error);
-        // If action check fails, proceed with regular chat
       }
 
-      // Build system prompt and user prompt based on conversation history
-      let systemPrompt = `You are a helpful assistant. Answer the user's question based on the conversation history.`;
-      let chatUserPrompt;
-
-      // Build conversation with history
-      if (conversationHistory.length > 0) {
-        let conversationContext = `--- CONVERSATION HISTORY ---\n`;
-        for (const turn of conversationHistory) {
-          conversationContext += `User: ${turn.user}\nAssistant: ${turn.assistant}\n\n`;
-        }
-        conversationContext += `-----------------------\n\n`;
-        conversationContext += `User: ${userPrompt}\n\nYour Answer:`;
-        chatUserPrompt = conversationContext;
-      } else {
-        chatUserPrompt = userPrompt;
-      }
+      // Send the prior turns plus the new question as a native message array
+      const systemPrompt = `You are a helpful assistant. Answer the user's question, using the earlier conversation as context.
+You can use tools to read the current page, search it, get the selected text, and list or read other open tabs. Use them when the question is about what the user is looking at.`;
+      // The screenshot stays in the history so follow-up questions can refer to it
+      const userMessage = screenshot
+        ? { role: 'user', content: userPrompt, images: [{ mediaType: screenshot.mediaType, data: screenshot.data }] }
+        : { role: 'user', content: userPrompt };
+      // Page text read by tools stays in the history, so follow-up questions reuse
+      // it (prompt-cached by providers that support it) until it no longer fits
+      trimToolResults(conversationHistory, await TokenBudget.forTask('chat').getContentBudget(systemPrompt, userPrompt));
+      const messages = [...conversationHistory, userMessage];
 
       console.log(`Getting response from model (history length: ${conversationHistory.length})`);
+
+      // AI message is added up front and filled in as tokens stream in
+      const aiMessageDiv = document.createElement('div');
+      aiMessageDiv.className = 'chat-message ai-message';
+      const streamRenderer = createStreamingRenderer(aiMessageDiv, () => {
+        chatBox.scrollTop = chatBox.scrollHeight;
+      });
+
+      let answeredBy = null;
+      let reasoning = null;
+      let toolMessages = [];
+      let partialResponse = '';
+      const abortController = new AbortController();
+      setChatBusy(() => abortController.abort());
+
       try {
-        const aiResponse = await BackgroundAPI.chat(systemPrompt, chatUserPrompt);
-        const cleanedResponse = aiResponse.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+        const aiResponse = await BackgroundAPI.chatStream(systemPrompt, messages, (token) => {
+          if (!aiMessageDiv.isConnected) {
+            setChatLoading(false);
+            chatBox.appendChild(aiMessageDiv);
+          }
+          partialResponse += token;
+          streamRenderer.append(token);
+        }, {
+          signal: abortController.signal,
+          task: 'chat',
+          component: 'Chat',
+          useTools: true,
+          onModelUsed: (model) => { answeredBy = model; },
+          onToolMessages: (messages) => { toolMessages = messages; },
+          onReasoning: (text) => {
+            // Reasoning goes above the answer it leads to, collapsed
+            if (!reasoning) {
+              reasoning = createReasoningSection();
+              if (aiMessageDiv.isConnected) {
+                chatBox.insertBefore(reasoning.element, aiMessageDiv);
+              } else {
+                chatBox.appendChild(reasoning.element);
+              }
+            }
+            reasoning.append(text);
+          },
+          onToolCall: (call) => {
+            // Tool activity goes above the answer it leads to
+            const activity = document.createElement('div');
+            activity.className = 'tool-activity';
+            activity.textContent = `🔧 ${describeToolCall(call)}…`;
+            if (aiMessageDiv.isConnected) {
+              chatBox.insertBefore(activity, aiMessageDiv);
+            } else {
+              chatBox.appendChild(activity);
+            }
+            chatBox.scrollTop = chatBox.scrollHeight;
+          }
+        });
+        streamRenderer.stop();
+        if (reasoning) reasoning.finish();
+        const cleanedResponse = aiResponse.trim();
         console.log(`Cleaned response: ${cleanedResponse}`);
 
-        // Add to conversation history
-        conversationHistory.push({
-          user: userPrompt,
-          assistant: cleanedResponse
-        });
+        // Add to conversation history, with the tool calls and results that led to the answer
+        conversationHistory.push(userMessage, ...toolMessages);
+        if (cleanedResponse) {
+          conversationHistory.push({ role: 'assistant', content: cleanedResponse });
+        }
 
-        // Add AI message to chatbox
-        const aiMessageDiv = document.createElement('div');
-        aiMessageDiv.className = 'chat-message ai-message';
+        // Final render with the post-processed response
         renderContent(aiMessageDiv, cleanedResponse || "I'm not sure how to respond to that.");
-        chatBox.appendChild(aiMessageDiv);
+        if (answeredBy && answeredBy.isFallback) {
+          const label = document.createElement('span');
+          label.className = 'model-label';
+          label.textContent = `Answered by ${answeredBy.displayName} (fallback)`;
+          aiMessageDiv.appendChild(label);
+        }
+        if (!aiMessageDiv.isConnected) {
+          chatBox.appendChild(aiMessageDiv);
+        }
         chatBox.scrollTop = chatBox.scrollHeight;
       } catch (error) {
-        console.error('Error generating chat response:', error);
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'chat-message ai-message';
-        errorDiv.textContent = `Error: ${error.message}`;
-        chatBox.appendChild(errorDiv);
+        streamRenderer.stop();
+        if (reasoning) reasoning.finish();
+
+        if (error.code === 'ABORTED') {
+          // Keep what was generated so far on screen, but leave the
+          // whole exchange out of the history the model sees next time
+          console.log('Chat response stopped by user');
+          const partial = partialResponse.trim();
+          if (partial) {
+            renderContent(aiMessageDiv, partial);
+            const label = document.createElement('span');
+            label.className = 'model-label';
+            label.textContent = 'Stopped';
+            aiMessageDiv.appendChild(label);
+          } else {
+            aiMessageDiv.remove();
+          }
+        } else {
+          console.error('Error generating chat response:', error);
+          aiMessageDiv.remove();
+          const errorDiv = document.createElement('div');
+          errorDiv.className = 'chat-message ai-message';
+          renderChatError(errorDiv, error);
+          chatBox.appendChild(errorDiv);
+        }
       }
 
       // Re-enable chat
+      setChatBusy(null);
       setChatLoading(false);
       setChatDisabled(false);
       promptField.focus();
@@ -1034,8 +2444,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Clear the chat box
         chatBox.innerHTML = '';
 
-        // Clear conversation history
+        // Clear conversation history and any screenshot waiting to be sent
         conversationHistory = [];
+        setPendingScreenshot(null);
 
         console.log('Chat cleared');
 
@@ -1044,6 +2455,37 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     }
 
+    /**
+     * Shows a background job's progress in the chat box, then its result
+     * @param {Object} job - From BackgroundAPI.listJobs()
+     */
+    const showJob = async (job) => {
+      const jobDiv = document.createElement('div');
+      jobDiv.className = 'chat-message ai-message';
+      const showProgress = (progress) => {
+        const detail = progress && (progress.text || `${progress.done}/${progress.total}`);
+        jobDiv.textContent = `⏳ ${job.label}…${detail ? ` ${detail}` : ''}`;
+        chatBox.scrollTop = chatBox.scrollHeight;
+      };
+      showProgress(job.progress);
+      chatBox.appendChild(jobDiv);
+      chatBox.scrollTop = chatBox.scrollHeight;
+
+      try {
+        const result = await BackgroundAPI.waitForJob(job.id, { onProgress: showProgress });
+        renderContent(jobDiv, (result && result.text) || `✓ ${job.label}: done`);
+      } catch (error) {
+        console.error(`Background job ${job.id} failed:`, error);
+        renderChatError(jobDiv, error);
+      }
+      chatBox.scrollTop = chatBox.scrollHeight;
+    };
+
+    // Reattach to jobs started before the panel was closed, like a long summary
+    BackgroundAPI.listJobs().then((jobs) => {
+      jobs.filter(job => job.label).forEach(showJob);
+    });
+
     console.log("Initialization complete!");
 
   } catch (error) {
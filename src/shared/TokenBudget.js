@@ -0,0 +1,172 @@
+/**
+ * TokenBudget - Sizes prompt content to fit the current model's context window
+ *
+ * Loaded by content scripts (actions), the side panel and the background. The
+ * current model's context window and reserved output tokens come from the
+ * background (`get_token_budget`, or the registry directly when running
+ * there); token counts are a local estimate with no tokenizer,
+ * tuned to err on the high side. Use forTask() to size prompts for the model
+ * a task role is routed to.
+ */
+const TokenBudget = {
+  // Share of the context window held back for message framing and estimation error
+  SAFETY_MARGIN: 0.1,
+
+  // Used if the background can't be reached
+  DEFAULT_LIMITS: { contextWindow: 8192, maxOutputTokens: 1024 },
+
+  // Task role whose model's limits are used (null: the current model)
+  task: null,
+
+  /**
+   * Returns a TokenBudget that sizes prompts for the model assigned to a task role
+   * @param {string} task - e.g. 'summarize'
+   * @returns {Object} Same interface as TokenBudget
+   */
+  forTask(task) {
+    return { ...this, task };
+  },
+
+  /**
+   * Estimates how many tokens a text uses.
+   * CJK characters are about one token each; other text averages
+   * around 4 characters per token, counted as 3.5 to stay conservative.
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length;
+    return Math.ceil(cjkCount + (text.length - cjkCount) / 3.5);
+  },
+
+  /**
+   * Gets the model's limits from the background
+   * @returns {Promise<{contextWindow: number, maxOutputTokens: number}>}
+   */
+  async getLimits() {
+    try {
+      // In the background worker, which can't message itself
+      if (typeof modelRegistry !== 'undefined') {
+        return modelRegistry.getCurrentModelLimits(this.task);
+      }
+      const response = await chrome.runtime.sendMessage({ action: 'get_token_budget', task: this.task });
+      if (response && response.limits) {
+        return response.limits;
+      }
+    } catch (error) {
+      console.warn('[TokenBudget] Could not get model limits, using defaults:', error);
+    }
+    return this.DEFAULT_LIMITS;
+  },
+
+  /**
+   * Works out how many tokens are left for variable content once the
+   * response reservation and the fixed parts of the prompt are accounted for
+   * @param {...string} promptParts - Everything else that will be sent (system prompt, instructions, ...)
+   * @returns {Promise<number>}
+   */
+  async getContentBudget(...promptParts) {
+    const limits = await this.getLimits();
+    const fixedTokens = promptParts.reduce((sum, part) => sum + this.estimateTokens(part), 0);
+    const usable = Math.floor(limits.contextWindow * (1 - this.SAFETY_MARGIN)) - limits.maxOutputTokens - fixedTokens;
+
+    // Always leave room for some content, even on tiny context windows
+    return Math.max(usable, 256);
+  },
+
+  /**
+   * Cuts text to fit a token budget, preferring to end at a paragraph or line break
+   * @param {string} text
+   * @param {number} maxTokens
+   * @returns {{text: string, truncated: boolean, keptFraction: number}}
+   */
+  truncate(text, maxTokens) {
+    const totalTokens = this.estimateTokens(text);
+    if (totalTokens <= maxTokens) {
+      return { text, truncated: false, keptFraction: 1 };
+    }
+
+    // Start from a proportional cut, then shrink until the estimate fits
+    let end = Math.floor(text.length * (maxTokens / totalTokens));
+    while (end > 0 && this.estimateTokens(text.substring(0, end)) > maxTokens) {
+      end = Math.floor(end * 0.95);
+    }
+
+    const breakAt = Math.max(text.lastIndexOf('\n', end - 1), text.lastIndexOf('. ', end - 2));
+    if (breakAt > end * 0.8) {
+      end = breakAt + 1;
+    }
+
+    return {
+      text: text.substring(0, end).trimEnd(),
+      truncated: true,
+      keptFraction: end / text.length
+    };
+  },
+
+  /**
+   * Splits text into consecutive chunks that each fit a token budget
+   * @param {string} text
+   * @param {number} maxTokens - Budget per chunk
+   * @returns {Array<string>}
+   */
+  split(text, maxTokens) {
+    const chunks = [];
+    let remaining = text;
+
+    while (remaining.length > 0) {
+      const { text: chunk } = this.truncate(remaining, maxTokens);
+      // Guarantee progress even if a single "line" is over budget
+      const taken = chunk.length > 0 ? chunk.length : Math.min(remaining.length, maxTokens);
+      chunks.push(remaining.substring(0, taken));
+      remaining = remaining.substring(taken).trimStart();
+    }
+
+    return chunks;
+  },
+
+  /**
+   * Keeps as many list items as fit a token budget, in order
+   * @param {Array} items - Items that will be sent as JSON
+   * @param {number} maxTokens
+   * @returns {{items: Array, truncated: boolean}}
+   */
+  fitItems(items, maxTokens) {
+    const kept = [];
+    let used = 2; // Brackets
+
+    for (const item of items) {
+      const cost = this.estimateTokens(JSON.stringify(item)) + 1;
+      if (used + cost > maxTokens) {
+        return { items: kept, truncated: true };
+      }
+      kept.push(item);
+      used += cost;
+    }
+
+    return { items: kept, truncated: false };
+  },
+
+  /**
+   * Fits content into whatever the current model has left after the rest of the prompt
+   * @param {string} content - Variable content such as page text
+   * @param {...string} promptParts - The rest of the prompt
+   * @returns {Promise<{text: string, truncated: boolean, keptFraction: number}>}
+   */
+  async fit(content, ...promptParts) {
+    return this.truncate(content, await this.getContentBudget(...promptParts));
+  },
+
+  /**
+   * Warning to show the user when content was cut to fit
+   * @param {{truncated: boolean, keptFraction: number}} result - From truncate() or fit()
+   * @param {string} [what='content'] - What was cut, e.g. 'page' or 'thread'
+   * @returns {string} Empty if nothing was cut
+   */
+  truncationNotice(result, what = 'content') {
+    if (!result.truncated) return '';
+    const percent = Math.max(1, Math.round(result.keptFraction * 100));
+    return `⚠️ This ${what} is too long for the current model's context window; only the first ${percent}% was used.`;
+  }
+};